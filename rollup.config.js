@@ -66,13 +66,15 @@ const configs = [
 			exports: 'named',
 			sourcemap: true,
 		},
-		input: 'src/index.js',
+		input: [ 'src/index.js', 'src/mock.js' ],
 		external: [
 			'react',
 			'events',
 			'isomorphic-fetch',
 			'isomorphic-ws',
 			'async-retry',
+			'fs',
+			'path',
 		],
 		preserveModules: true,
 		plugins: [
@@ -1,31 +1,56 @@
 import EventEmitter from 'events';
-import WebSocket from 'isomorphic-ws';
 import { Subject } from 'rxjs';
 import HttpClient from './utils/http-client';
 import promiseMap from './utils/promise-map';
 import defer from './utils/defer';
 import Logger from './utils/Logger';
 import BrainDevice from './BrainDevice';
+import BrainHandset from './BrainHandset';
+import MacroBuilder from './MacroBuilder';
 import ClientEvents from './ClientEvents';
 import ConnectionStates from './ConnectionStates';
+import BrainStates, { ACTIVE_BRAIN_STATES, SYNC_BRAIN_STATES, FAILED_BRAIN_STATES } from './BrainStates';
 import BrainInfo from './BrainInfo';
 import UsageStatsClient from './utils/usage';
 import SYSTEM_DRIVER_ID from './utils/system-driver-id';
+import genId from './utils/gen-id';
+import brainUrls, { splitBrainAddress, BRAIN_SCHEMES } from './utils/brain-urls';
+import OutboundQueue, { QUEUE_POLICIES, ErrorMessageExpired, ErrorMessageSuperseded } from './utils/outbound-queue';
+import exponentialBackoff, { DEFAULT_RECONNECT_OPTIONS } from './utils/reconnect-policy';
+import WebSocketTransport from './utils/websocket-transport';
+import SessionRecorder from './utils/session-recorder';
+import ReplayTransport from './utils/replay-transport';
+import SetupDeadline, { SETUP_STAGES, ErrorSetupTimeout } from './utils/setup-deadline';
+import tokenStorage, {
+	MemoryTokenStorage,
+	LocalStorageTokenStorage,
+} from './utils/token-storage';
+import DriverCache, {
+	driverCache,
+	LocalStorageDriverStorage,
+	IndexedDBDriverStorage,
+} from './utils/driver-cache';
 
 export const DEFAULT_BRAIN_PORT = 8000;
 export const DEFAULT_REQUEST_TIMEOUT = 1000; // mocha times tests out at 2000
 export const DEFAULT_BRAIN_IP = '127.0.0.1:8000';
 export const CONNECTION_TIMEOUT_MS = 5000;
 export const PING_INTERVAL = 30 * 1000;
+export const HEARTBEAT_MAX_MISSES = 2;
+export const QUEUE_TTL = 30 * 1000;
+export const PIN_ATTEMPTS = 3;
+export const SETUP_TIMEOUT = 30 * 1000;
 
 
 const STATUS_SUCCESS = 'success';
 
-// https://developer.mozilla.org/en-US/docs/Web/API/WebSocket#Ready_state_constants
-// const WS_CONNECTING = 0;
-// const WS_OPEN = 1;
-// const WS_CLOSING = 2;
-const WS_CLOSED = 3;
+// Kinds of auth messages sent, to know what an `authorized_message`/`unauthorized_message` replies to
+const AUTH_ATTEMPTS = {
+	DEFAULT_PIN:  'default_pin',
+	PIN:          'pin',
+	TOKEN:        'token',
+	CACHED_TOKEN: 'cached_token',
+};
 
 // Borrowed from https://davidwalsh.name/query-string-javascript
 function getUrlParameter(name) {
@@ -60,6 +85,78 @@ class ErrorClientNotInitalized extends Error {
 	}
 }
 
+/**
+ * Thrown by {@link BrainClient#connectToBrain} and {@link BrainClient#prepareConnection} if the client was disposed with {@link BrainClient#dispose}.
+ * Also used to reject messages still queued when the client is disposed.
+ * @class BrainClient.ErrorClientDisposed
+ */
+class ErrorClientDisposed extends Error {
+	constructor(message, ...args) {
+		super(
+			message || "BrainClient disposed - create a new client or use BrainClient.getBrainClient to get a new one",
+			...args
+		);
+	}
+}
+
+/**
+ * Thrown by {@link BrainClient#setupConnection} (and {@link BrainClient#connectToBrain}) when the Brain rejected every PIN tried.
+ * A `string` PIN is only tried once, a `function` PIN is called again after each rejection, up to the `pinAttempts` option
+ * on the {@link BrainClient} constructor. The client stays connected (and `CONNECTION_UNAUTHORIZED`), so you can still
+ * use {@link BrainClient#submitPin}.
+ * 
+ * @property {number} attempts Number of PINs rejected
+ * @property {string} reason Reason given for the last rejection
+ * @class BrainClient.ErrorInvalidPin
+ */
+class ErrorInvalidPin extends Error {
+	constructor(message, { attempts, reason } = {}) {
+		super(message || `PIN rejected by the Brain after ${attempts} attempt(s)`);
+		this.attempts = attempts;
+		this.reason   = reason;
+	}
+}
+
+/**
+ * Base class for errors rejected by {@link BrainClient#callApiSync} (and methods that use it, like {@link BrainClient#brainInfo}).
+ * Check for the specific subclasses below with `instanceof` to find out why the request failed.
+ * 
+ * @property {string} apiPath API path of the request, like `'devices'`
+ * @property {number} elapsedMs Milliseconds between the request being sent and the error
+ * @property {object} body Body of the request, if any
+ * @class BrainClient.ErrorRequest
+ */
+class ErrorRequest extends Error {
+	constructor(message, { apiPath, elapsedMs, body } = {}) {
+		super(message);
+		this.apiPath   = apiPath;
+		this.elapsedMs = elapsedMs;
+		this.body      = body;
+	}
+}
+
+/**
+ * Error thrown by {@link BrainClient#callApiSync} (and methods that use it) when the Brain does not reply within the request timeout.
+ * See the `requestTimeout` option on the {@link BrainClient} constructor or the `timeout` option on the method called.
+ * @class BrainClient.ErrorRequestTimeout
+ * @extends BrainClient.ErrorRequest
+ */
+class ErrorRequestTimeout extends ErrorRequest {}
+
+/**
+ * Error thrown by {@link BrainClient#callApiSync} (and methods that use it) when the `AbortSignal` given as the `signal` option is aborted.
+ * @class BrainClient.ErrorRequestAborted
+ * @extends BrainClient.ErrorRequest
+ */
+class ErrorRequestAborted extends ErrorRequest {}
+
+/**
+ * Error thrown by {@link BrainClient#callApiSync} (and methods that use it) when the connection to the Brain is closed before the reply is received.
+ * @class BrainClient.ErrorDisconnected
+ * @extends BrainClient.ErrorRequest
+ */
+class ErrorDisconnected extends ErrorRequest {}
+
 /**
  * Internal watchdog to keep states flowing.
  * I've found that sometimes when a brain restarts, syncs, or publishes,
@@ -67,6 +164,9 @@ class ErrorClientNotInitalized extends Error {
  * command "restarts" the flow of changes. So this just implements a simple
  * deadman timer using the System Device's SECOND_STATE to make sure it's always
  * getting state changes.
+ * 
+ * Opt-in via the `watchdog` constructor option, see {@link BrainClient} for the
+ * related `watchdogDeadmanTime` and `watchdogAction` options.
  * @private
  */
 class ConnectionWatchdog {
@@ -79,45 +179,220 @@ class ConnectionWatchdog {
 			return;
 		this._enabled = true;
 
-		const sys = this.sys = await this.client.getSystemDevice();
+		const sys = await this.client.getSystemDevice();
+
+		// Disabled while we were waiting on the system device
+		if(!this._enabled) {
+			return;
+		}
+
+		this.sys = sys;
 		if(sys) {
 			// Subscribe to state changes on System Device
 			// System Device should emit a state chnage every 1000ms due to the
 			// SECOND_STATE changing. So we just restart the timer every 
 			// state change, and if we stop restarting the timer for more than
-			// WATCHDOG_DEADMAN_TIMER_MS, then we send the /api/v1/restart
-			// command to the brain - we've found this will cause state changes
-			// to start transmitting again
-			sys.on(BrainDevice.STATE_CHANGED, () => {
-				this.restartDeadmanTimer();
+			// the deadman time, then we take the configured recovery action
+			// (by default, we send the /api/v1/restart command to the brain -
+			// we've found this will cause state changes to start transmitting again)
+			sys.on(BrainDevice.STATE_CHANGED, this._stateChanged = () => {
+				this._received();
 			});
+
+			this.restartDeadmanTimer();
 		} else {
-			console.warn(`[ConnectionWatchdog] unable to get System device, watchdog not active`);
+			Logger.getDefaultLogger().w(ConnectionWatchdog.LOG_TAG, `unable to get System device, watchdog not active`);
+			this._enabled = false;
 		}
 	}
 
+	disable() {
+		clearTimeout(this.deadmanTimer);
+		this.deadmanTimer = null;
+
+		if(this.sys && this._stateChanged) {
+			this.sys.off(BrainDevice.STATE_CHANGED, this._stateChanged);
+		}
+
+		this.sys = null;
+		this._stateChanged = null;
+		this._enabled = false;
+		this.tripped = false;
+	}
+
+	get deadmanTime() {
+		return this.client.opts.watchdogDeadmanTime || ConnectionWatchdog.WATCHDOG_DEADMAN_TIMER_MS;
+	}
+
+	get action() {
+		return this.client.opts.watchdogAction || ConnectionWatchdog.ACTIONS.RESTART;
+	}
+
+	_received() {
+		if(this.tripped) {
+			this.tripped = false;
+
+			Logger.getDefaultLogger().i(ConnectionWatchdog.LOG_TAG, `state changes flowing again after '${this.action}'`);
+			this.client.emit(BrainClient.EVENTS.WATCHDOG_RECOVERED, {
+				action:      this.action,
+				downtime:    Date.now() - this._trippedAt,
+			});
+		}
+
+		this.restartDeadmanTimer();
+	}
+
 	restartDeadmanTimer() {
-		console.log(`[ConnectionWatchdog] + Received state change, restarting timer`);
+		Logger.getDefaultLogger().d(ConnectionWatchdog.LOG_TAG, `+ Received state change, restarting timer`);
 
 		clearTimeout(this.deadmanTimer);
-		this.deadmanTimer = setTimeout(() => {
-			
-			// Simple debugging
-			console.warn(`[ConnectionWatchdog] no state changes received in ${ConnectionWatchdog.WATCHDOG_DEADMAN_TIMER_MS/1000} seconds, requesting a restart of the connected brain`);
+		this.deadmanTimer = setTimeout(() => this._trip(), this.deadmanTime);
+	}
 
-			// Actual command to restart the brain
-			// Note that this just restarts the state machine, not the actual process
-			this.client.http.post('restart');
+	_trip() {
+		const { client, action, deadmanTime } = this;
 
-			// Restart our timer
-			this.restartDeadmanTimer();
+		if(!this.tripped) {
+			this.tripped = true;
+			this._trippedAt = Date.now() - deadmanTime;
+		}
+
+		// Simple debugging
+		Logger.getDefaultLogger().w(ConnectionWatchdog.LOG_TAG, `no state changes received in ${deadmanTime/1000} seconds, recovering with '${action}'`);
+
+		client.emit(BrainClient.EVENTS.WATCHDOG_TRIPPED, { action, deadmanTime });
+
+		switch(action) {
+			case ConnectionWatchdog.ACTIONS.RECONNECT:
+				// Don't restart our timer - the next state change after
+				// reconnecting will restart it
+				client._reconnectNeeded();
+				return;
+
+			case ConnectionWatchdog.ACTIONS.RESUBSCRIBE:
+				// Ask the brain to send state changes again for every watched device
+				Object.values(client.devices || {}).forEach(device => device._reconnected());
+				break;
+
+			case ConnectionWatchdog.ACTIONS.RESTART:
+			default:
+				// Actual command to restart the brain
+				// Note that this just restarts the state machine, not the actual process
+				client.http.post('restart');
+				break;
+		}
 
-		}, ConnectionWatchdog.WATCHDOG_DEADMAN_TIMER_MS);
+		// Restart our timer
+		this.restartDeadmanTimer();
 	}
 }
 
+ConnectionWatchdog.LOG_TAG = "ConnectionWatchdog";
 ConnectionWatchdog.WATCHDOG_DEADMAN_TIMER_MS = 15 * 1000;
 
+/**
+ * Recovery actions the watchdog can take when the System Device stops sending state changes. Pass one
+ * of these as the `watchdogAction` option to the {@link BrainClient} constructor.
+ * 
+ * @typedef BrainClient.WATCHDOG_ACTIONS
+ * @property BrainClient.WATCHDOG_ACTIONS.RESTART     {string} Send the `restart` request to the Brain, which restarts its state machine (not the actual process). This is the default.
+ * @property BrainClient.WATCHDOG_ACTIONS.RESUBSCRIBE {string} Ask the Brain to send state changes again for every device that is being watched
+ * @property BrainClient.WATCHDOG_ACTIONS.RECONNECT   {string} Drop and reconnect the WebSocket
+ */
+ConnectionWatchdog.ACTIONS = {
+	RESTART:     'restart',
+	RESUBSCRIBE: 'resubscribe',
+	RECONNECT:   'reconnect',
+};
+
+/**
+ * Internal heartbeat to detect half-open sockets.
+ * If the network drops (Wi-Fi, NAT timeout, etc) the WebSocket may never
+ * get a close event, so the client would sit at CONNECTION_ACTIVE forever.
+ * This sends a cheap `get_brain_stat_message` every `heartbeatInterval` ms
+ * and expects a `brain_status_message` back before the next one is due.
+ * Heartbeats carry a `request_id` so replies to other status queries (like
+ * from `isProvisioned()`) aren't counted as heartbeats.
+ * After `heartbeatMaxMisses` missed replies in a row, the link is considered
+ * stale and the client is told to reconnect.
+ * @private
+ */
+class ConnectionHeartbeat {
+	constructor(client) {
+		this.client = client;
+		this.latency = null;
+	}
+
+	start() {
+		const { heartbeatInterval } = this.client.opts;
+		if(this._timer || !heartbeatInterval) {
+			return;
+		}
+
+		this.misses = 0;
+		this._pending = false;
+		this._timer = setInterval(() => this._tick(), heartbeatInterval);
+	}
+
+	stop() {
+		clearInterval(this._timer);
+		this._timer = null;
+		this._pending = false;
+	}
+
+	_tick() {
+		const { client } = this,
+			maxMisses = client.opts.heartbeatMaxMisses || HEARTBEAT_MAX_MISSES;
+
+		if(this._pending) {
+			this.misses ++;
+			Logger.getDefaultLogger().w(BrainClient.LOG_TAG, `Heartbeat missed (${this.misses}/${maxMisses}) from ${client.ipAddress}`);
+			client.emit(BrainClient.EVENTS.HEARTBEAT_MISSED, { misses: this.misses, maxMisses });
+
+			if(this.misses >= maxMisses) {
+				this.stop();
+				Logger.getDefaultLogger().w(BrainClient.LOG_TAG, `Connection to ${client.ipAddress} is stale, reconnecting`);
+				client._reconnectNeeded();
+				return;
+			}
+		}
+
+		this._pending = true;
+		this._sentAt = Date.now();
+		this._requestId = genId();
+		client.sendData({
+			type:       'get_brain_stat_message',
+			request_id: this._requestId,
+		});
+	}
+
+	/**
+	 * Called by the client for every `brain_status_message`.
+	 * Returns true if the message was the reply to a heartbeat.
+	 * Replies that don't echo the `request_id` only count if no
+	 * other status query is waiting for a reply.
+	 */
+	received({ request_id: requestId }) {
+		if(!this._pending) {
+			return false;
+		}
+
+		const isReply = requestId !== undefined ?
+			requestId === this._requestId :
+			!this.client._statusQueries;
+
+		if(!isReply) {
+			return false;
+		}
+
+		this._pending = false;
+		this.misses = 0;
+		this.latency = Date.now() - this._sentAt;
+		this.client.emit(BrainClient.EVENTS.HEARTBEAT, { latency: this.latency });
+		return true;
+	}
+}
+
 /**
  * Event-based async client for [Kramer Control Brains]{@link https://www.kramerav.com/us/products/control-and-management/control-processors?groupId=3&subgroupId=284}.
  * 
@@ -170,6 +445,19 @@ export default class BrainClient extends EventEmitter {
 	 * console.log("Caching worked? ", (bc1 === bc2) ? true : false);
 	 * ```
 	 * 
+	 * <h3>Releasing clients</h3>
+	 * 
+	 * Every call to `getBrainClient` acquires a reference to the cached client. Call {@link BrainClient#release} once for every
+	 * call to `getBrainClient` when you're done with the client (for example, when a component unmounts or the route changes).
+	 * When the last reference is released, the client is disposed (see {@link BrainClient#dispose}) and removed from the cache,
+	 * so the next call to `getBrainClient` for that IP creates a new client.
+	 * 
+	 * ```javascript
+	 * const bc = BrainClient.getBrainClient('127.0.0.1:8000');
+	 * // ... later, when done with it:
+	 * bc.release();
+	 * ```
+	 * 
 	 * <h3>Auto mode</h3>
 	 * 
 	 * If you pass an object like `{ auto: true }` as the `ipAddress`, BrainClient will check the window query string for `brainIp=<whatever>`, and if not found, will use the origin host/port as brain IP. 
@@ -196,16 +484,26 @@ export default class BrainClient extends EventEmitter {
 		ipAddress = this._tryAutoIpAddress(ipAddress)
 
 		if(this._cachedBrainClients[ipAddress]) {
-			return this._cachedBrainClients[ipAddress];
+			const cached = this._cachedBrainClients[ipAddress];
+			cached._refCount ++;
+			return cached;
 		}
 
 		const bc = this._cachedBrainClients[ipAddress] = new BrainClient(opts);
+		bc._refCount = 1;
 		
 		// Start connection to Brain on next tick
 		// so that the caller can attach event listeners in case of CONNECTION_FAILURE, etc
 		setTimeout(() => {
+			// Released before we even got started
+			if(bc._disposed) {
+				return;
+			}
+
 			const data = opts || {};
-			bc.connectToBrain(ipAddress, data.pin, data.auth);
+			bc.connectToBrain(ipAddress, data.pin, data.auth).catch(error => {
+				Logger.getDefaultLogger().e(BrainClient.LOG_TAG, `Error connecting cached client to ${ipAddress}: ${error}`);
+			});
 		}, 0);
 
 		return bc;
@@ -231,10 +529,32 @@ export default class BrainClient extends EventEmitter {
 	 * 
 	 * @param opts {object} Options for configuring the client, all optional, documented below
 	 * @param opts.remoteAuthorization {string} Data structure from nebula-web-ui for Remote Control via cloud
-	 * @param opts.reconnectWaitTime {number} Time to wait to try to reconnect a socket on disconnect or error in milliseconds (default to `1000` milliseconds)
+	 * @param opts.reconnectWaitTime {number} Time to wait before the first attempt to reconnect a socket on disconnect or error in milliseconds (default to `1000` milliseconds). Later attempts back off exponentially from this value, see below.
+	 * @param opts.reconnectMaxWaitTime {number} Upper limit on the time to wait between reconnect attempts in milliseconds (defaults to `30000` milliseconds)
+	 * @param opts.reconnectBackoffFactor {number} Multiplier applied to the wait time after every failed reconnect attempt (defaults to `2`). Set to `1` to retry at a fixed interval of `reconnectWaitTime`.
+	 * @param opts.reconnectJitter {number} Fraction (`0`-`1`) of the wait time to randomly add or subtract so many clients don't reconnect to a rebooting Brain at the same instant (defaults to `0.2`)
+	 * @param opts.reconnectMaxAttempts {number} Number of reconnect attempts before giving up (defaults to `Infinity`). When the client gives up, it goes to `CONNECTION_FAILURE` and emits `BrainClient.EVENTS.RECONNECT_FAILED`.
+	 * @param opts.reconnectPolicy {function} Optional custom reconnect policy. Called as `reconnectPolicy(attempt, opts)` with the 1-based attempt number and the client's options, and must return the number of milliseconds to wait before that attempt, or `false` to give up. Defaults to {@link BrainClient.exponentialBackoff}, which you can call from your own policy.
 	 * @param opts.requestTimeout {number} Timeout value for requests internally to the Brain. If the Brain takes longer than this parameter, the request will fail with a timeout. Defaults to `1000` milliseconds.
 	 * @params opts.connectionTimeout {number} Timeout value before a brain is considered unreachable. Defaults to `5000` milliseconds.
+	 * @param opts.setupTimeout {number} Deadline for {@link BrainClient#setupConnection} (and the setup done by {@link BrainClient#connectToBrain} once the socket is open) to get the replies it needs from the Brain: the provisioning status, the express mode flag and the result of authorizing. If the Brain stalls, setup rejects with {@link BrainClient.ErrorSetupTimeout} naming the stage that stalled. Time spent in a `pin` callback (like a user typing the PIN) doesn't count. Defaults to `30000` milliseconds, set to `0` to wait forever.
 	 * @param opts.disableAnalytics {boolean} Set to true to disable analytics collection via Google Analytics (defaults to `false`)
+	 * @param opts.queueTtl {number} API messages (like commands from {@link BrainDevice#sendCommand}) sent while disconnected are queued and sent in order once the connection is active again. This is how long a message can wait in the queue, in milliseconds, before it is dropped and its promise rejected with {@link BrainClient.ErrorMessageExpired} (defaults to `30000` milliseconds). Set to `0` to disable the queue and drop messages sent while disconnected.
+	 * @param opts.queuePolicy {string} How to handle multiple queued messages for the same target, one of {@link BrainClient.QUEUE_POLICIES} (defaults to `BrainClient.QUEUE_POLICIES.FIFO`)
+	 * @param opts.watchdog {boolean} Set to true to enable the watchdog (defaults to `false`). Some Brains stop sending state changes after restarting, syncing or publishing. Once a device is watched, the watchdog expects a state change from the System Device (which changes every second) at least every `watchdogDeadmanTime` milliseconds. If none arrives, it emits `BrainClient.EVENTS.WATCHDOG_TRIPPED` and takes the `watchdogAction`. When state changes arrive again, it emits `BrainClient.EVENTS.WATCHDOG_RECOVERED`.
+	 * @param opts.watchdogDeadmanTime {number} Time without System Device state changes before the watchdog trips, in milliseconds (defaults to `15000` milliseconds)
+	 * @param opts.watchdogAction {string} Recovery action for the watchdog, one of {@link BrainClient.WATCHDOG_ACTIONS} (defaults to `BrainClient.WATCHDOG_ACTIONS.RESTART`)
+	 * @param opts.heartbeatInterval {number} Time between heartbeat requests in milliseconds while the connection is active (defaults to `30000` milliseconds). The heartbeat detects sockets that silently stopped working. Set to `0` to disable the heartbeat.
+	 * @param opts.heartbeatMaxMisses {number} Number of heartbeat replies in a row that can be missed before the connection is considered stale and the client reconnects (defaults to `2`). Each miss emits `BrainClient.EVENTS.HEARTBEAT_MISSED`.
+	 * @param opts.secure {boolean} Set to `true` to connect using `wss://` and `https://` (for example, to a Brain behind a TLS-terminating reverse proxy), or `false` to force `ws://` and `http://`. If not set, the client connects securely only when the page using it was served over HTTPS. A scheme included in the address given to {@link BrainClient#connectToBrain} (`https://`, `wss://`, `http://` or `ws://`) always overrides this option.
+	 * @param opts.tls {object} Node only, ignored in browsers. TLS options used for secure WebSocket connections. Supports the usual Node TLS options, like `ca` (to trust a private CA), `cert`, `key`, and `rejectUnauthorized` (set to `false` to accept self-signed certificates). Pass the same options to an `https.Agent` as `opts.agent` to use them for REST calls too.
+	 * @param opts.agent {object} Node only, ignored in browsers. Agent used for secure REST calls, like `new https.Agent({ ca })`.
+	 * @param opts.transport {function} Optional factory for the transport used to talk to the Brain, called as `transport({ url, secure, tls, ipAddress })` on every (re)connect. Defaults to a {@link BrainClient.WebSocketTransport}. See {@link BrainClient.WebSocketTransport} for the interface a transport must implement.
+	 * @param opts.record {Array|BrainClient.SessionRecorder} Optional, record every frame to and from the Brain, with timestamps, for reproducing problems later with a {@link BrainClient.ReplayTransport}. Pass an array to push entries to, or a {@link BrainClient.SessionRecorder}, like a {@link FileSessionRecorder} (Node, from `@kramerav/brain-client/mock`) to append entries to an NDJSON file.
+	 * @param opts.pinAttempts {number} Number of times {@link BrainClient#setupConnection} (and {@link BrainClient#connectToBrain}) calls a `function` PIN when the Brain rejects the PIN, before giving up with {@link BrainClient.ErrorInvalidPin} (defaults to `3`)
+	 * @param opts.tokenCache {boolean|object} Optional, cache the session token the Brain sends once authorized, and authorize later connections (like reconnects) with that token, before falling back to the PIN flow if the Brain rejects it. This saves re-prompting users of PIN-protected rooms for the PIN. Set to `true` to cache tokens in memory, or pass a storage like {@link BrainClient.LocalStorageTokenStorage} or {@link FileTokenStorage} (Node, from `@kramerav/brain-client/mock`), or your own (see {@link BrainClient.MemoryTokenStorage} for the interface). Tokens are stored by Brain ID. Defaults to `false`.
+	 * @param opts.cache {boolean} Set to `false` to keep this client out of the cache used by {@link BrainClient.getBrainClient}, for clients owned by something else (like a {@link BrainPool}) that will dispose them. Defaults to `true`, connected clients are cached under their address.
+	 * @param opts.driverCache {boolean|BrainClient.DriverCache} Optional, where downloaded drivers are cached, so devices using the same driver ID and version share one download. Defaults to `false`, a cache private to this client (in memory). Set to `true` for the cache shared by every client created with `true` (`BrainClient.DriverCache.shared`, in memory), or pass a {@link BrainClient.DriverCache} to share between some clients, like one with a storage to keep drivers across reloads or restarts.
 	 * 
  	 */
 	constructor(opts={}) {
@@ -243,12 +563,56 @@ export default class BrainClient extends EventEmitter {
 		this._ipAddressPromise = defer();
 
 		Object.assign(this.opts = {}, {
-			reconnectWaitTime:  DEFAULT_REQUEST_TIMEOUT,
+			...DEFAULT_RECONNECT_OPTIONS,
 			requestTimeout:     DEFAULT_REQUEST_TIMEOUT,
 			connectionTimeout:  CONNECTION_TIMEOUT_MS,
+			setupTimeout:       SETUP_TIMEOUT,
+			heartbeatInterval:  PING_INTERVAL,
+			heartbeatMaxMisses: HEARTBEAT_MAX_MISSES,
+			watchdog:           false,
+			watchdogDeadmanTime: ConnectionWatchdog.WATCHDOG_DEADMAN_TIMER_MS,
+			watchdogAction:     ConnectionWatchdog.ACTIONS.RESTART,
+			queueTtl:           QUEUE_TTL,
+			queuePolicy:        QUEUE_POLICIES.FIFO,
+			pinAttempts:        PIN_ATTEMPTS,
 			disableAnalytics:   false,
 		}, opts || {});
 
+		// Messages sent while disconnected, flushed once CONNECTION_ACTIVE again
+		this._outbound = new OutboundQueue({
+			ttl:    this.opts.queueTtl,
+			policy: this.opts.queuePolicy,
+		});
+
+		this._heartbeat = new ConnectionHeartbeat(this);
+
+		// Replies due for status queries sent by queryProvisionedInfo(), see ConnectionHeartbeat#received
+		this._statusQueries = 0;
+
+		this._recorder = this.opts.record ? SessionRecorder.from(this.opts.record) : null;
+
+		this._tokenStorage = tokenStorage(this.opts.tokenCache);
+
+		this._driverCache = driverCache(this.opts.driverCache);
+
+		// Auth messages still waiting on a reply, see _submitAuthMessage()
+		this._authAttempts = [];
+
+		// Requests from callApiSync still waiting on a reply, by correlation ID (`request_id`)
+		this._pendingRequests = new Map();
+
+		// Add a watchdog to make sure we're getting states
+		// Note: We only enable the watchdog if `opts.watchdog` is set and 
+		// a device actually calls .watchStates()
+		this.watchdog = new ConnectionWatchdog(this);
+
+		// BrainHandsets by ID, see getHandsets()
+		this._handsets = {};
+
+		// References acquired via getBrainClient, see release()
+		this._refCount = 0;
+		this._disposed = false;
+
 		this.usage = this.opts.disableAnalytics ? {
 			track: () => {}
 		} : UsageStatsClient;
@@ -266,11 +630,15 @@ export default class BrainClient extends EventEmitter {
 	 * ```
 	 * 
 	 * @param {string} ipAddress IP address of Brain to connect to, with optional port, like "127.0.0.1:8000" - port defaults to 8000 if not specified
-	 * @param {string|function} pin PIN string or callback function to get PIN. Callback will only be executed if the Brain indicates a PIN is required. See {@link BrainClient#setupConnection} for more notes on the callback.
+	 * @param {string|function} pin PIN string or callback function to get PIN. Callback will only be executed if the Brain indicates a PIN is required, and again if the Brain rejects the PIN. See {@link BrainClient#setupConnection} for more notes on the callback.
 	 * @param {string} auth Optional, JWT token to use to auth with brain instead of using the PIN
-	 * @throws {Error} May throw errors from {@link BrainClient#setupConnection} - see that method for Errors that could be thrown.
+	 * @throws {Error} May throw errors from {@link BrainClient#setupConnection} - see that method for Errors that could be thrown, or {@link BrainClient.ErrorClientDisposed} if the client was disposed.
 	 */
 	async connectToBrain(ipAddress, pin, auth) {
+		if(this._disposed) {
+			throw new ErrorClientDisposed();
+		}
+
 		this.usage.track('connectToBrain', { ipAddress });
 
 		await this.prepareConnection(ipAddress).catch(ex => {
@@ -306,6 +674,14 @@ export default class BrainClient extends EventEmitter {
 	 * this method in a UI and simply provide a callback arg to pop up a
 	 * dialog, for example.
 	 * 
+	 * If the Brain rejects the PIN, the callback is called again as `pin(attempt, reason)`,
+	 * with the 1-based number of the attempt and the reason the last PIN was rejected
+	 * (`null` on the first attempt), up to the `pinAttempts` constructor option. For example:
+	 * ```javascript
+	 * await bc.setupConnection((attempt, reason) =>
+	 * 	window.prompt(reason ? `${reason}, please try again:` : "Please enter a PIN for this Brain:", ""));
+	 * ```
+	 * 
 	 * A creative user of `BrainClient` could decide to not use `setupConnection`
 	 * at all, and instead implement each of the steps that `setupConnection` does
 	 * in their own code. 
@@ -319,38 +695,84 @@ export default class BrainClient extends EventEmitter {
 	 * of the connection, just call {@link BrainClient#prepareConnection} after constructing your
 	 * `BrainClient` instance and then setup the connection however you would like.
 	 * 
-	 * @param {string|function} pin Express mode PIN code, only needed if not left blank in KC Manager. NOTE: an `async` function can be supplied for the `pin` instead of a string, which will only be called if the pin is actually required for connection.
+	 * @param {string|function} pin Express mode PIN code, only needed if not left blank in KC Manager. NOTE: an `async` function can be supplied for the `pin` instead of a string, which will only be called if the pin is actually required for connection (and again for each rejected PIN, see above).
 	 * 
 	 * @return {BrainInfo} An object describing the current brain. See {@link BrainInfo} for fields. 
 	 * 
-	 * @throws {Error} Throws {@link BrainClient.ErrorNotProvisioned}, {@link BrainClient.ErrorExpressModeDisabled}, or {@link BrainClient.ErrorClientNotInitalized}.
+	 * @throws {Error} Throws {@link BrainClient.ErrorNotProvisioned}, {@link BrainClient.ErrorExpressModeDisabled}, {@link BrainClient.ErrorInvalidPin}, {@link BrainClient.ErrorSetupTimeout}, or {@link BrainClient.ErrorClientNotInitalized}.
 	 */
 	async setupConnection(pin="", auth="") {
 		this.usage.track('setupConnection');
 
-		await this._auditConnection(true);
+		const deadline = new SetupDeadline(this.opts.setupTimeout);
+
+		await this._auditConnection(true, deadline);
 	
 		// isLoginNeeded returns true if the default "empty" pin doesn't work
-		if(await this.isLoginNeeded()) {
+		if(await deadline.wait(SETUP_STAGES.AUTHORIZING, this.isLoginNeeded())) {
 			if(auth) {
 				// TODO: Test coverage
 				this.submitAuthorization(auth);
 			} else {
-				// TODO: Test coverage
-				if(typeof(pin) === 'function') {
-					pin = await pin();
-				}
-				this.submitPin(pin);
+				await this._submitPinUntilAuthorized(pin, deadline);
 			}
 		}
 	
 		// Wait for a final authorization to talk to the brain
-		await this.isAuthorized();
+		await deadline.wait(SETUP_STAGES.AUTHORIZING, this.isAuthorized());
 
 		// Return status
 		return this._brainGeneralInfo;
 	}
 
+	/**
+	 * [PRIVATE]
+	 * 
+	 * Submit the `pin` given to {@link BrainClient#setupConnection} until the Brain accepts it,
+	 * calling `pin` again after each rejection if it's a function.
+	 * 
+	 * @param {string|function} pin
+	 * @param {SetupDeadline} deadline Deadline of the `setupConnection` call
+	 * @throws {BrainClient.ErrorInvalidPin} If the Brain rejected every attempt
+	 * @private
+	 */
+	async _submitPinUntilAuthorized(pin, deadline) {
+		const retry = typeof(pin) === 'function',
+			maxAttempts = retry ? Math.max(1, this.opts.pinAttempts) : 1;
+
+		let reason = null;
+		for(let attempt = 1; attempt <= maxAttempts; attempt ++) {
+			const value = retry ? await deadline.exclude(pin(attempt, reason)) : pin;
+
+			let onPinRequired;
+			const rejected = new Promise(resolve => {
+				onPinRequired = data => data && data.failed && resolve(data);
+				this.on(BrainClient.EVENTS.PIN_REQUIRED, onPinRequired);
+			});
+
+			this.submitPin(value);
+
+			let rejection;
+			try {
+				rejection = await deadline.wait(
+					SETUP_STAGES.AUTHORIZING,
+					Promise.race([ this.isAuthorized().then(() => null), rejected ])
+				);
+			} finally {
+				this.off(BrainClient.EVENTS.PIN_REQUIRED, onPinRequired);
+			}
+
+			if(!rejection) {
+				return;
+			}
+
+			reason = rejection.reason;
+			Logger.getDefaultLogger().w(BrainClient.LOG_TAG, `PIN attempt ${attempt} of ${maxAttempts} rejected: ${reason}`);
+		}
+
+		throw new ErrorInvalidPin(null, { attempts: maxAttempts, reason });
+	}
+
 	/**
 	 * [PRIVATE]
 	 * 
@@ -360,11 +782,12 @@ export default class BrainClient extends EventEmitter {
 	 *   * Checks for `this.isExpressModeEnabled()` - if false or null, throws {@link BrainClient.ErrorExpressModeDisabled} or returns false if `throwErrors`is false
 	 * 
 	 * @param {boolean} throwErrors Default false, set to true to enable throwing errors
+	 * @param {SetupDeadline} deadline Optional, deadline of the `setupConnection` call. Throws {@link BrainClient.ErrorSetupTimeout} once passed, even if `throwErrors` is false.
 	 * @throws {Error} Multiple errors may be thrown - see above. Set `throwErrors` to false to return false instead of throwing errors
 	 * 
 	 * @private
 	 */
-	async _auditConnection(throwErrors=false) {
+	async _auditConnection(throwErrors=false, deadline=new SetupDeadline(0)) {
 		if(!this.ipAddress) {
 			// TODO: Test coverage
 			if(!throwErrors) {
@@ -376,7 +799,7 @@ export default class BrainClient extends EventEmitter {
 			throw new ErrorClientNotInitalized()
 		}
 		
-		if(!await this.isProvisioned()) {
+		if(!await deadline.wait(SETUP_STAGES.PROVISIONING, this.isProvisioned())) {
 			if(!throwErrors) {
 				// TODO: Test coverage
 				return false;
@@ -386,7 +809,7 @@ export default class BrainClient extends EventEmitter {
 			throw new ErrorNotProvisioned("Brain is NOT provisioned on brain " + this.ipAddress + " - BrainClient will not work");
 		}
 	
-		if(!await this.isExpressModeEnabled()) {
+		if(!await deadline.wait(SETUP_STAGES.EXPRESS_MODE, this.isExpressModeEnabled())) {
 			if(!throwErrors) {
 				// TODO: Test coverage
 				return false;
@@ -410,12 +833,24 @@ export default class BrainClient extends EventEmitter {
 		this._connectionStatus = status;
 		this.emit(BrainClient.EVENTS.CONNECTION_STATUS_CHANGED, { status });
 
+		if(status === BrainClient.CONNECTION_ACTIVE &&
+			this._outbound.length) {
+			Logger.getDefaultLogger().d(BrainClient.LOG_TAG, `Sending ${this._outbound.length} messages queued while disconnected`);
+			this._outbound.flush(data => this._sendNow(data));
+		}
+
 		if(status === BrainClient.CONNECTION_ACTIVE &&
 			this.isReconnecting) {
 			this.isReconnecting = false;
+			this._reconnectAttempt = 0;
 
-			// Notify devices of reconnection
+			// Notify devices and handsets of reconnection
 			Object.values(this.devices).forEach(device => device._reconnected())
+			Object.values(this._handsets).forEach(handset => handset._reconnected())
+		}
+
+		if(status === BrainClient.CONNECTION_ACTIVE) {
+			this._heartbeat.start();
 		}
 
 		// console.log("[BrainClient._setConnectionStatus] (" + this.ipAddress + ")", status);
@@ -430,6 +865,64 @@ export default class BrainClient extends EventEmitter {
 		return this._connectionStatus;
 	}
 
+	/**
+	 * Get the state of the Brain itself, as last reported by the Brain (unlike {@link BrainClient#getConnectionStatus},
+	 * which is the state of the connection to the Brain). When the state changes, the event `BrainClient.EVENTS.BRAIN_STATE_CHANGED`
+	 * will be emitted by the client with the same object as the payload.
+	 * 
+	 * The returned object has these fields:
+	 * * `state` - The state, usually one of {@link BrainClient.BRAIN_STATES}, like `"upgrading"`
+	 * * `previousState` - The state before `state`, or `null` if `state` is the first state received
+	 * * `changedAt` - Timestamp (from `Date.now()`) when the client received `state`
+	 * * `updatedAt` - Timestamp when the Brain last reported its state, even if unchanged
+	 * * `sysState` - The `sys_state` object from the Brain's last `system_state_message`, or `null` if the state came from the Brain's status (see {@link BrainClient#brainInfo})
+	 * 
+	 * @returns {object|null} Object like `{ state, previousState, changedAt, updatedAt, sysState }`, or `null` if the Brain has not reported its state yet
+	 */
+	getBrainState() {
+		return this._brainState ? { ...this._brainState } : null;
+	}
+
+	/**
+	 * Record the state reported by the Brain, emitting `BRAIN_STATE_CHANGED` if it changed
+	 * @param {string} state
+	 * @param {object} sysState `sys_state` from `system_state_message`, if that's where `state` came from
+	 * @private
+	 */
+	_updateBrainState(state, sysState=null) {
+		if(!state) {
+			return;
+		}
+
+		const now = Date.now(),
+			last = this._brainState;
+
+		if(last && last.state === state) {
+			last.updatedAt = now;
+			last.sysState  = sysState || last.sysState;
+			return;
+		}
+
+		this._brainState = {
+			state,
+			previousState: last ? last.state : null,
+			changedAt:     now,
+			updatedAt:     now,
+			sysState,
+		};
+
+		this.emit(BrainClient.EVENTS.BRAIN_STATE_CHANGED, this.getBrainState());
+	}
+
+	/**
+	 * Get the round-trip time of the most recent heartbeat in milliseconds. See the `heartbeatInterval` option
+	 * on the constructor. Every heartbeat reply also emits `BrainClient.EVENTS.HEARTBEAT` with the same value.
+	 * @returns {number|null} Latency in milliseconds, or `null` if no heartbeat reply received yet
+	 */
+	getLatency() {
+		return this._heartbeat.latency;
+	}
+
 	/**
 	 * Exposed as secondary method just for testing
 	 * 
@@ -437,8 +930,14 @@ export default class BrainClient extends EventEmitter {
 	 * @private
 	 */
 	_checkPort(ipAddress) {
-		// Normalize IP with default port if none specified
-		if (ipAddress.indexOf(':') < 0 && !ipAddress.includes('://')) {
+		const { scheme } = splitBrainAddress(ipAddress);
+		if(scheme && BRAIN_SCHEMES[scheme] === undefined) {
+			throw new Error(`Unsupported scheme "${scheme}://" in Brain address ${ipAddress}, use one of: ${Object.keys(BRAIN_SCHEMES).map(x => x + '://').join(', ')}`);
+		}
+
+		// Normalize IP with default port if none specified.
+		// Addresses with a scheme use that scheme's default port (e.g. a Brain behind a reverse proxy on 443)
+		if (ipAddress.indexOf(':') < 0 && !scheme) {
 			ipAddress += ':' + DEFAULT_BRAIN_PORT;
 		}
 
@@ -467,9 +966,13 @@ export default class BrainClient extends EventEmitter {
 	 * 
 	 * @param {string} ipAddress IP with optional port specified
 	 * @returns {Promise} Promise that will resolve once the WebSocket is connected
-	 * @throws {Error} Error if trouble connecting to Brain specified
+	 * @throws {Error} Error if trouble connecting to Brain specified, or {@link BrainClient.ErrorClientDisposed} if the client was disposed
 	 */
 	async prepareConnection(ipAddress) {
+		if(this._disposed) {
+			throw new ErrorClientDisposed();
+		}
+
 		this.usage.track('prepareConnection');
 
 		this.ipAddress = this._checkPort(ipAddress);
@@ -504,20 +1007,21 @@ export default class BrainClient extends EventEmitter {
 		// Set flags
 		this._manuallyDisconnected = false;
 		this.isReconnecting = false;
+		this._reconnectAttempt = 0;
 
 		// Assuming success, setup WebSocket connection
 		this._connectSocket();
 
 		// Start a timer to watch for websocket connection failures
+		clearTimeout(this._connectFailureTimer);
 		this._connectFailureTimer = setTimeout(() => {
 			this._connectionPromise.reject(BrainClient.CONNECTION_FAILURE);
 			this._setConnectionStatus(BrainClient.CONNECTION_FAILURE);
 		}, this.opts.connectionTimeout || CONNECTION_TIMEOUT_MS);
 
-		// Add a watchdog to make sure we're getting states
-		// Note: We only enable the watchdog if a device 
-		// actually calls .watchStates()
-		this.watchdog = new ConnectionWatchdog(this);
+		// Stop watching the old System Device, the watchdog is
+		// enabled again when a device calls .watchStates()
+		this.watchdog.disable();
 		// window.client = this; // JUST FOR TESTING
 
 		// Return promise of connection
@@ -534,20 +1038,36 @@ export default class BrainClient extends EventEmitter {
 	 * @private
 	 */
 	_connectHttp() {
+		const { httpUrl, secure } = this._brainUrls();
 		this.http = new HttpClient({
-			baseURL: 'http://' + this.ipAddress + '/api/v1/',
-			timeout: this.opts.requestTimeout || DEFAULT_REQUEST_TIMEOUT
+			baseURL: httpUrl,
+			timeout: this.opts.requestTimeout || DEFAULT_REQUEST_TIMEOUT,
+			agent:   secure ? this.opts.agent : undefined,
 		});
 	}
 
+	/**
+	 * [PRIVATE]
+	 * Get the WebSocket and REST URLs for the current `ipAddress`, honoring `opts.secure`
+	 * @returns {object} Object like `{ secure, socketUrl, httpUrl }`
+	 * @private
+	 */
+	_brainUrls() {
+		return brainUrls(this.ipAddress, { secure: this.opts.secure });
+	}
+
 	/**
 	 * Get the brain information (the "general" API route)
+	 * @param {object} opts Optional request options, see {@link BrainClient#callApiSync}
+	 * @param {AbortSignal} opts.signal Optional signal to abort the request
+	 * @param {number} opts.timeout Optional timeout in milliseconds, overrides the `requestTimeout` option given to the constructor
 	 * @returns {BrainInfo} A {@link BrainInfo} object describing the currently connected brain
-	 * @throws {Error} Throws an error if there is a problem talking to the brain
+	 * @throws {BrainClient.ErrorRequest} Throws a subclass of {@link BrainClient.ErrorRequest} if there is a problem talking to the brain
 	 */
-	async brainInfo() {
+	async brainInfo(opts={}) {
 		const res = await this.callApiSync('general',
-			({ type }) => type === 'brain_status_message'
+			({ type }) => type === 'brain_status_message',
+			null, null, opts
 		);
 		
 		return (this._brainGeneralInfo = res);
@@ -729,86 +1249,173 @@ export default class BrainClient extends EventEmitter {
 		};
 	}
 
+	/**
+	 * Start building a macro of commands and custom state changes across devices, sent to the Brain as a single
+	 * `send_macro_message` instead of one message (and one wait) per command. See {@link MacroBuilder}.
+	 * 
+	 * **Example usage:**
+	 * ```javascript
+	 * const results = await bc.macro()
+	 * 	.command('Projector', 'SET_POWER', { POWER: 'ON' })
+	 * 	.command('Projector', 'SET_INPUT', { INPUT: 'HDMI2' })
+	 * 	.setCustomState('ROOM_MODE', 'presentation')
+	 * 	.send();
+	 * ```
+	 * 
+	 * @returns {MacroBuilder} New macro builder, call {@link MacroBuilder#send} to send the macro
+	 */
+	macro() {
+		return new MacroBuilder(this);
+	}
+
 	/**
 	 * [PRIVATE]
 	 * Retrieves a simplified driver structure enumerating the preconfigured states and commands for the given driver.
 	 * Note that this is downloading the cached driver from the Brain, not directly from the cloud API.
+	 * Simplified drivers are cached by driver ID and version, see the `driverCache` option of the constructor.
 	 * 
 	 * @param {string} driverId - Driver ID (global UUID for the driver, NOT the deviceId)
 	 * @param {string} versionNum - Verion #, NB: **REQUIRED**, Must match cached driver on Brain
+	 * @param {object} opts - Optional `{ signal, timeout }` request options, see {@link BrainClient#callApiSync}
+	 * @private
+	 */
+	async _getSimpleDriver(driverId, versionNum=0, { signal, timeout } = {}) {
+		try {
+			// The download may be shared with other callers (and clients), so it doesn't get our signal:
+			// aborting only stops this call from waiting for it
+			const driver = this._driverCache.get(driverId, versionNum,
+				() => this._downloadSimpleDriver(driverId, versionNum, { timeout }));
+
+			return await (signal ? this._untilAborted(driver, signal, `device-drivers/${driverId}`) : driver);
+		} catch(ex) {
+			// Caller asked to stop, so don't pretend we have an (empty) driver
+			if(ex instanceof ErrorRequestAborted) {
+				throw ex;
+			}
+			console.error(`Error processing driver from brain:`, ex);
+		}
+
+		return {};
+	}
+
+	/**
+	 * [PRIVATE]
+	 * Resolve or reject with `promise`, or reject with {@link BrainClient.ErrorRequestAborted} when `signal` is aborted first
 	 * @private
 	 */
-	async _getSimpleDriver(driverId, versionNum=0) {
+	_untilAborted(promise, signal, apiPath) {
+		const startTime = Date.now();
+
+		let onAbort;
+		const aborted = new Promise((resolve, reject) => {
+			onAbort = () => reject(new ErrorRequestAborted("Request aborted for apiPath: " + apiPath, {
+				apiPath,
+				elapsedMs: Date.now() - startTime,
+			}));
+
+			if(signal.aborted) {
+				onAbort();
+			} else {
+				signal.addEventListener('abort', onAbort);
+			}
+		});
+
+		const cleanup = () => signal.removeEventListener('abort', onAbort);
+
+		return Promise.race([ promise, aborted ]).then(
+			value => {
+				cleanup();
+				return value;
+			},
+			error => {
+				cleanup();
+				throw error;
+			}
+		);
+	}
+
+	/**
+	 * [PRIVATE]
+	 * Download and simplify a driver, see {@link BrainClient#_getSimpleDriver}. Throws on errors, so failed downloads aren't cached.
+	 * @private
+	 */
+	async _downloadSimpleDriver(driverId, versionNum, opts) {
 		const simple = {};
 
-		try {
-			const { categories } = await this.callApiSync(
-				`device-drivers/${driverId}?version=${versionNum}`, 
-				({ categories }) => !!categories
-			);
+		const { categories } = await this.callApiSync(
+			`device-drivers/${driverId}?version=${versionNum}`, 
+			({ categories }) => !!categories,
+			null, null, opts
+		);
 
-			const _enumCommands = (capabilities, statesHash) => {
-				let result = [];
-				
-				capabilities.forEach(({ name, reference_id, commands }) => {
-					const capability = { name, reference_id };
-					commands.forEach(({ name, reference_id, codes }) => {
-
-						const dynamicParams = [];
-						const staticParams  = [];
-
-						codes.forEach(( { state_references, parameters } ) => {
-							state_references.forEach(({ name, state_id, state_key /*, state_name */ }) => {
-								dynamicParams.push({
-									name,
-									state_key,
-									state: statesHash[state_id],
-								})
-							});
-
-							parameters.forEach(({ constraints, name, parameter_type }) => {
-								staticParams.push({
-									constraints,
-									name,
-									parameter_type
-								})
+		const _enumCommands = (capabilities, statesHash) => {
+			let result = [];
+			
+			capabilities.forEach(({ name, reference_id, commands }) => {
+				const capability = { name, reference_id };
+				commands.forEach(({ name, reference_id, codes }) => {
+
+					const dynamicParams = [];
+					const staticParams  = [];
+
+					codes.forEach(( { state_references, parameters } ) => {
+						state_references.forEach(({ name, state_id, state_key /*, state_name */ }) => {
+							dynamicParams.push({
+								name,
+								state_key,
+								state: statesHash[state_id],
 							})
 						});
 
-						result.push({ capability, name, reference_id, staticParams, dynamicParams });
+						parameters.forEach(({ constraints, name, parameter_type }) => {
+							staticParams.push({
+								constraints,
+								name,
+								parameter_type
+							})
+						})
 					});
-				});
 
-				return result;
-			};
-
-			// Simplify a driver for easy reuse
-			categories.forEach(({
-				name, reference_id, capabilities, states, macros 
-			}) => {
-				const stateList = states.map(({ name, reference_id, primitive_type }) => {
-					return { name, reference_id, primitive_type }
+					result.push({ capability, name, reference_id, staticParams, dynamicParams });
 				});
+			});
 
-				const statesHash = {};
-				stateList.forEach(state => {
-					statesHash[state.reference_id] = state;
-				})
-
-				simple[reference_id] = {
-					name,
-					reference_id,
-					commands: _enumCommands(capabilities, statesHash),
-					states: statesHash,
-					// Not used right now...
-					// macros: macros.map(({ name, reference_id }) => {
-					// 	return { name, reference_id }
-					// }),
+			return result;
+		};
+
+		// Macros list the commands they run as `actions` (or `commands`), each with its static parameters
+		const _enumMacros = macros => macros.map(({ name, reference_id, actions, commands }) => {
+			const steps = (actions || commands || []).map(({ command_id, reference_id, parameters, static_parameters }) => {
+				return {
+					command_id: command_id || reference_id,
+					parameters: (static_parameters || parameters || []).map(({ name, value }) => ({ name, value })),
 				}
 			});
-		} catch(ex) {
-			console.error(`Error processing driver from brain:`, ex);
-		}
+
+			return { name, reference_id, actions: steps };
+		});
+
+		// Simplify a driver for easy reuse
+		categories.forEach(({
+			name, reference_id, capabilities, states, macros 
+		}) => {
+			const stateList = states.map(({ name, reference_id, primitive_type }) => {
+				return { name, reference_id, primitive_type }
+			});
+
+			const statesHash = {};
+			stateList.forEach(state => {
+				statesHash[state.reference_id] = state;
+			})
+
+			simple[reference_id] = {
+				name,
+				reference_id,
+				commands: _enumCommands(capabilities, statesHash),
+				states: statesHash,
+				macros: _enumMacros(macros || []),
+			}
+		});
 
 		// console.dir(simple, { depth: 100 });
 		return simple;
@@ -822,39 +1429,52 @@ export default class BrainClient extends EventEmitter {
 	 *   * Creates/updates {@link BrainDevice} instances for each device
 	 * @private
 	 */
-	async _enumDevices() {
+	async _enumDevices(opts={}) {
 		if(this._enumPromise)
 			return this._enumPromise;
-		this._enumPromise = defer();
 
-		const { devices } = await this.callApiSync('devices', ({ devices }) => !!devices);
+		const promise = this._enumPromise = defer();
 
-		const JIT_DRIVER_DOWNLOAD = true;
+		// Concurrent callers share this promise, but our own caller gets the error
+		// thrown below, so don't let this promise cause an unhandled rejection
+		promise.catch(() => {});
 
-		await promiseMap(devices, async device => {
-			if(!JIT_DRIVER_DOWNLOAD) {
-				device.driver = await this._getSimpleDriver(
-					device.device_driver_id,
-					device.device_driver_version
-				).catch(ex => {
-					console.error("Error downloading driver id " + device.device_driver_id + ": " + ex);
-					device.driver = {
-						error: ex
-					}
-				});
-			}
+		try {
+			const { devices } = await this.callApiSync('devices', ({ devices }) => !!devices, null, null, opts);
+
+			const JIT_DRIVER_DOWNLOAD = true;
+
+			await promiseMap(devices, async device => {
+				if(!JIT_DRIVER_DOWNLOAD) {
+					device.driver = await this._getSimpleDriver(
+						device.device_driver_id,
+						device.device_driver_version,
+						opts
+					).catch(ex => {
+						console.error("Error downloading driver id " + device.device_driver_id + ": " + ex);
+						device.driver = {
+							error: ex
+						}
+					});
+				}
 
-			// Create the actual object
-			if (this.devices[device.id]) {
-				this.devices[device.id]._updateData(device);
-			} else {
-				this.devices[device.id] = new BrainDevice(this, device);
-			}
-		});
+				// Create the actual object
+				if (this.devices[device.id]) {
+					this.devices[device.id]._updateData(device);
+				} else {
+					this.devices[device.id] = new BrainDevice(this, device);
+				}
+			});
 
-		// console.dir(devices, { depth: 100 })
-		this._enumPromise.resolve(this.devices);
-		this._enumPromise = null;
+			// console.dir(devices, { depth: 100 })
+			promise.resolve(this.devices);
+			return this.devices;
+		} catch(ex) {
+			promise.reject(ex);
+			throw ex;
+		} finally {
+			this._enumPromise = null;
+		}
 	}
 
 	async _getDriver(device) {
@@ -868,11 +1488,11 @@ export default class BrainClient extends EventEmitter {
 	}
 
 	/**
-	 * Connect the WebSocket to the Brain
+	 * Connect the transport (the WebSocket, by default) to the Brain
 	 * @private
 	 */
 	_connectSocket() {
-		if (!this.ws || this.ws.readyState === WS_CLOSED) {
+		if (!this.ws) {
 
 			/**
 			 * Event handler for WebSocket 'onopen' event
@@ -880,7 +1500,9 @@ export default class BrainClient extends EventEmitter {
 			 */
 			const _wsOpen = async () => {
 				clearTimeout(this._connectFailureTimer);
+				this._record('open');
 				this.isConnected = true;
+				this._statusQueries = 0;
 				this._manuallyDisconnected = false;
 				this._connectionPromise.resolve();
 
@@ -888,7 +1510,8 @@ export default class BrainClient extends EventEmitter {
 
 				if(this.opts.remoteAuthorization) {
 					this.sendRemoteAuthorization(this.opts.remoteAuthorization);
-					setTimeout(() => {
+					clearTimeout(this._remoteAuthTimer);
+					this._remoteAuthTimer = setTimeout(() => {
 						if(!this.isAuthenticated) {
 							this.disconnect();
 							this._reconnectNeeded();
@@ -905,6 +1528,7 @@ export default class BrainClient extends EventEmitter {
 			 * @private 
 			 */
 			_wsClose = () => {
+				this._record('close');
 				this.emit(BrainClient.EVENTS.WS_CLOSED);
 				this._setConnectionStatus(BrainClient.CONNECTION_DISCONNECTED);
 				this._disconnect();
@@ -921,7 +1545,7 @@ export default class BrainClient extends EventEmitter {
 			 */
 			_wsError = event => {
 				// TODO: test coverage of this branch
-				Logger.getDefaultLogger().e(BrainClient.LOG_TAG, 'Socket error: ' + event.data);
+				Logger.getDefaultLogger().e(BrainClient.LOG_TAG, 'Socket error: ' + (event && event.data !== undefined ? event.data : event));
 				// this._reconnectNeeded();
 			},
 
@@ -931,30 +1555,45 @@ export default class BrainClient extends EventEmitter {
 			 * it just decodes the JSON then passes it to {@link BrainClient#_incomingBrainEvent} for actual processing.
 			 * @private 
 			 */
-			_wsMessage = event => {
+			_wsMessage = frame => {
+				this._record('in', frame);
 				try {
-					const data = JSON.parse(event.data);
+					const data = JSON.parse(frame);
 					this._incomingBrainEvent(data);
 				} catch(error) {
-					Logger.getDefaultLogger().e(BrainClient.LOG_TAG, 'Error parsing json: ' + event.data);
+					Logger.getDefaultLogger().e(BrainClient.LOG_TAG, 'Error parsing json: ' + frame);
 				}
 			};
 
 			const { ipAddress } = this;
-			const socketUrl = ipAddress.startsWith('ws://')
-				? ipAddress
-				: `ws://${ipAddress}/web-client`;
+			const { socketUrl, secure } = this._brainUrls();
 
-			const ws = this.ws = new WebSocket(socketUrl);
+			const createTransport = typeof(this.opts.transport) === 'function' ?
+				this.opts.transport :
+				transportOpts => new WebSocketTransport(transportOpts);
+
+			const ws = this.ws = createTransport({
+				url: socketUrl,
+				secure,
+				tls: this.opts.tls,
+				ipAddress,
+			});
 			ws.onopen    = _wsOpen;
 			ws.onclose   = _wsClose;
 			ws.onmessage = _wsMessage;
 			ws.onerror   = _wsError;
+			ws.open();
 
 			
-			// Cache this client for future access via `getBrainClient`
-			if(!BrainClient._cachedBrainClients[ipAddress]) {
-				BrainClient._cachedBrainClients[ipAddress] = this;
+			// Cache this client for future access via `getBrainClient`, unless owned by something else.
+			// Unless it came from getBrainClient, whoever created it holds a reference, so releasing
+			// what getBrainClient returns doesn't dispose it
+			const cache = BrainClient._cachedBrainClients;
+			if(this.opts.cache !== false && !cache[ipAddress]) {
+				if(!Object.values(cache).includes(this)) {
+					this._refCount ++;
+				}
+				cache[ipAddress] = this;
 			}
 			
 		}
@@ -962,8 +1601,18 @@ export default class BrainClient extends EventEmitter {
 
 	/**
 	 * Disconnect the WebSocket, if connected, closing all communication with the brain.
+	 * 
+	 * This also cancels any pending reconnect attempt. The client stays cached and can be connected
+	 * again with {@link BrainClient#connectToBrain}. To free everything used by the client, use {@link BrainClient#dispose} instead.
 	 */
 	disconnect() {
+		clearTimeout(this._connectFailureTimer);
+		clearTimeout(this._remoteAuthTimer);
+		clearTimeout(this._reconnectTid);
+		delete this._reconnectTid;
+		this.isReconnecting = false;
+
+		this.watchdog.disable();
 		this.devices = {};
 		this._devicesEnumerated = false;
 		this._manuallyDisconnected = true;
@@ -979,37 +1628,181 @@ export default class BrainClient extends EventEmitter {
 		this.isAuthenticated = false;
 		this._authPromise = defer();
 
+		// Replies to these will never arrive
+		this._authAttempts = [];
+
+		this._heartbeat.stop();
+
+		// Nobody will reply to these on the closed socket
+		Array.from(this._pendingRequests.values()).forEach(({ disconnected }) => disconnected());
+
 		if (this.ws) {
 			const { ws } = this;
-			if(ws.readyState !== WS_CLOSED) {
-				ws.close();
-			}
 			ws.onopen    = null;
 			ws.onclose   = null;
 			ws.onmessage = null;
 			ws.onerror   = null;
 			this.ws = null;
+			ws.close();
+		}
+	}
+
+	/**
+	 * Release a reference acquired by {@link BrainClient.getBrainClient}. When every reference is released,
+	 * the client is disposed with {@link BrainClient#dispose}. A client created with `new BrainClient()` is cached
+	 * when it connects, with one reference held by the code that created it, so it's only disposed once that code
+	 * releases it as well. Calling `release` on a client that was never cached disposes it right away.
+	 * 
+	 * @returns {boolean} `true` if the client was disposed, `false` if other references are still held
+	 */
+	release() {
+		if(this._refCount > 0) {
+			this._refCount --;
+		}
+
+		if(this._refCount > 0) {
+			return false;
+		}
+
+		this.dispose();
+		return true;
+	}
+
+	/**
+	 * Free everything used by this client: disconnects (without reconnecting), stops all timers, rejects
+	 * any messages still queued with {@link BrainClient.ErrorClientDisposed}, removes all event listeners
+	 * (including listeners on devices from this client), completes the Observable from {@link BrainClient#asObservable},
+	 * closes the file given as the `record` option, and removes the client from the cache used by {@link BrainClient.getBrainClient}.
+	 * 
+	 * The client cannot be connected again after being disposed. Usually you will want {@link BrainClient#release}
+	 * for clients from {@link BrainClient.getBrainClient}, so clients still in use elsewhere aren't disposed.
+	 */
+	dispose() {
+		if(this._disposed) {
+			return;
+		}
+
+		this._disposed = true;
+		this._refCount = 0;
+
+		const devices = Object.values(this.devices || {});
+
+		this.disconnect();
+		this._setConnectionStatus(BrainClient.CONNECTION_DISCONNECTED);
+		this._outbound.clear(new ErrorClientDisposed());
+
+		if(this._recorder) {
+			this._recorder.close();
+		}
+
+		devices.forEach(device => device.removeAllListeners());
+		Object.values(this._handsets).forEach(handset => handset.removeAllListeners());
+		this.removeAllListeners();
+
+		if(this._rxSubject) {
+			this._rxSubject.complete();
+			this._rxSubject = null;
 		}
 
-		// Clear cache on disconnect
-		// delete BrainClient._cachedBrainClients[this.ipAddress];
+		// The cache can hold this client under the address given to getBrainClient
+		// as well as the normalized address set in _connectSocket
+		const cache = BrainClient._cachedBrainClients;
+		Object.keys(cache)
+			.filter(key => cache[key] === this)
+			.forEach(key => delete cache[key]);
+	}
+
+	/**
+	 * Check if {@link BrainClient#dispose} was called on this client (directly or via {@link BrainClient#release})
+	 * @returns {boolean} `true` if disposed
+	 */
+	isDisposed() {
+		return this._disposed;
 	}
 	
 	/**
 	 * Send the string or object over the WebSocket to the brain as-is, no checking/changes.
+	 * 
+	 * If the WebSocket is not connected, API messages (`ws_message_wrapper` messages, like the ones sent by {@link BrainClient#wrapApiCall})
+	 * are queued and sent in order once the connection is active again. See the `queueTtl` and `queuePolicy` options on the constructor.
+	 * Other messages (like {@link BrainClient#submitPin}) are only useful on the current connection, so they are dropped if not connected.
+	 * They are sent right away once connected, even while API messages are still queued, since the connection only becomes active after the Brain replies to them.
+	 * 
 	 * @param {string|Object} data String or JSON object to send to the Brain
+	 * @param {object} opts Optional
+	 * @param {number} opts.ttl Override the `queueTtl` option given to the constructor for this message
+	 * @returns {Promise} Resolves to `true` once the message is sent, or `false` if dropped because not connected. Rejects with {@link BrainClient.ErrorMessageExpired} or {@link BrainClient.ErrorMessageSuperseded} if the message was queued but will never be sent.
+	 */
+	sendData(data, { ttl } = {}) {
+		// For test coverage
+		this._lastDataSent = data;
+
+		const isApiMessage = !!data && data.type === 'ws_message_wrapper';
+
+		// Keep API messages in order behind anything still queued. Control and auth messages
+		// can't wait, the queue is only flushed once the Brain has answered them
+		if( this.ws && this.isConnected && (!isApiMessage || !this._outbound.length) ) {
+			this._sendNow(data);
+			return Promise.resolve(true);
+		}
+
+		if(!this.opts.queueTtl || !isApiMessage) {
+			return Promise.resolve(false);
+		}
+
+		return this._outbound.push(data, { ttl, key: this._queueKey(data) });
+	}
+
+	/**
+	 * Actually write `data` to the socket
+	 * @private
 	 */
-	sendData(data) {
+	_sendNow(data) {
 		if( this.ws && this.isConnected ) {
-			this.ws.send(typeof data === 'string' ? data : JSON.stringify(data));
+			const frame = typeof data === 'string' ? data : JSON.stringify(data);
+			this._record('out', frame);
+			this.ws.send(frame);
 		}
+	}
 
-		// For test coverage
-		this._lastDataSent = data;
+	/**
+	 * Record a frame or connection event with the recorder from `opts.record`, if any
+	 * @private
+	 */
+	_record(dir, frame) {
+		if(this._recorder) {
+			this._recorder.record(dir, frame);
+		}
+	}
+
+	/**
+	 * Target of a queued message, used to keep only the latest message per target with `QUEUE_POLICIES.LATEST`
+	 * @param {object} data Message to be queued
+	 * @returns {string|null} Key like `<device_id>/<state_id or command_id>`, or `null` if the message has no single target
+	 * @private
+	 */
+	_queueKey({ path, body }) {
+		if(!body) {
+			return null;
+		}
+
+		if(body.type === 'watch_states_message') {
+			return `${path}/${body.device_id}`;
+		}
+
+		if(body.type === 'send_macro_message' && 
+			body.actions && body.actions.length === 1) {
+			const [{ device_id, state_id, command_id }] = body.actions;
+			return `${path}/${device_id}/${state_id || command_id}`;
+		}
+
+		return null;
 	}
 
 	/** 
-	 * Start reconnection timer
+	 * Start reconnection timer, waiting for the time given by the reconnect policy (see `reconnectPolicy` in the constructor).
+	 * Emits `BrainClient.EVENTS.RECONNECTING` with the attempt number and delay, or gives up and emits `BrainClient.EVENTS.RECONNECT_FAILED`
+	 * if the policy says to stop.
 	 * @private
 	 */
 	_reconnectNeeded() {
@@ -1019,13 +1812,53 @@ export default class BrainClient extends EventEmitter {
 
 		if(this._reconnectTid) {
 			// TODO: Test coverage - debouncing
+			// Reuse the pending attempt number so debounced calls don't count as failed attempts
 			clearTimeout(this._reconnectTid);
+			delete this._reconnectTid;
+		} else {
+			this._reconnectAttempt = (this._reconnectAttempt || 0) + 1;
 		}
+
+		const attempt = this._reconnectAttempt,
+			delay = this._nextReconnectDelay(attempt);
+
+		if(delay === false) {
+			Logger.getDefaultLogger().w(BrainClient.LOG_TAG, `Giving up reconnecting to ${this.ipAddress} after ${attempt - 1} attempts`);
+
+			this.isReconnecting = false;
+			this._reconnectAttempt = 0;
+			this._setConnectionStatus(BrainClient.CONNECTION_FAILURE);
+			this.emit(BrainClient.EVENTS.RECONNECT_FAILED, { attempts: attempt - 1 });
+			return;
+		}
+
+		Logger.getDefaultLogger().d(BrainClient.LOG_TAG, `Reconnect attempt #${attempt} in ${delay}ms`);
+		this.emit(BrainClient.EVENTS.RECONNECTING, { attempt, delay });
 		
 		this._reconnectTid = setTimeout(() => {
-			this._connectSocket();
 			delete this._reconnectTid;
-		}, this.opts.reconnectWaitTime || 1000);
+			this._connectSocket();
+		}, delay);
+	}
+
+	/**
+	 * Ask the reconnect policy how long to wait before the given attempt.
+	 * 
+	 * @param {number} attempt 1-based reconnect attempt number
+	 * @returns {number|boolean} Milliseconds to wait, or `false` to give up
+	 * @private
+	 */
+	_nextReconnectDelay(attempt) {
+		const policy = typeof(this.opts.reconnectPolicy) === 'function' ?
+			this.opts.reconnectPolicy :
+			exponentialBackoff;
+
+		const delay = policy(attempt, this.opts);
+		if(typeof(delay) !== 'number' || isNaN(delay) || delay < 0) {
+			return false;
+		}
+
+		return delay;
 	}
 
 	/**
@@ -1126,6 +1959,9 @@ export default class BrainClient extends EventEmitter {
 		
 		// Allow interested parties to receive all messages from the brain
 		this.emit(BrainClient.EVENTS.WS_MESSAGE, msg);
+
+		// Resolve any callApiSync() waiting on this message
+		this._dispatchReply(msg);
 		
 		// console.log(`[BrainClient debug] raw message: [${type}]`, data);
 		
@@ -1137,11 +1973,22 @@ export default class BrainClient extends EventEmitter {
 				const { brain_provisioned: isProvisioned } = data;
 				Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Brain status message - provisioned: ', isProvisioned); 
 
+				// Heartbeat replies don't need to restart the express mode/auth flow below
+				const isHeartbeat = this._heartbeat.received(data);
+				if(!isHeartbeat && data.request_id === undefined && this._statusQueries > 0) {
+					this._statusQueries --;
+				}
+
 				this.emit(BrainClient.EVENTS.STATUS_MESSAGE, data);
 
 				// This flag is returned by isProvisioned() if not null/undefined
 				this._isProvisioned = !!isProvisioned;
 
+				this._updateBrainState(data.brain_state);
+
+				// Key for the token cache
+				this._statusBrainId = data.brain_id || this._statusBrainId;
+
 				// isProvisioned() waits on this promise if this._isProvisioned is null/undefined
 				if(this._isProvisionedPromise) {
 					this._isProvisionedPromise.resolve(this._isProvisioned);
@@ -1150,7 +1997,7 @@ export default class BrainClient extends EventEmitter {
 
 
 				if(isProvisioned) {
-					if(!this.opts.remoteAuthorization) {
+					if(!this.opts.remoteAuthorization && !isHeartbeat) {
 						this.queryExpressModeEnabled();
 					}
 				} else {
@@ -1181,8 +2028,8 @@ export default class BrainClient extends EventEmitter {
 					// Needs to be an object payload for compat with our RxJS implementation
 					this.emit(BrainClient.EVENTS.EXPRESS_MODE, { enabled: true });
 
-					// Try default empty PIN first
-					this._attemptDefaultPinLogin();
+					// Try a cached token or the default empty PIN first
+					this._attemptLogin();
 				} else {
 					this.expressModeEnabled = false;
 					this.isAuthenticated    = false;
@@ -1196,8 +2043,22 @@ export default class BrainClient extends EventEmitter {
 			case("unauthorized_message"): {
 				eventConsumed = true;
 
-				// TODO: Test coverage of this branch
-				this.emit(BrainClient.EVENTS.PIN_REQUIRED);
+				// The Brain replies to auth attempts in order
+				const attempt = this._authAttempts.shift();
+
+				if(attempt === AUTH_ATTEMPTS.CACHED_TOKEN) {
+					// Cached token expired or revoked, fall back to the PIN flow
+					this._forgetToken();
+					this._attemptDefaultPinLogin();
+					break;
+				}
+
+				// Rejecting the default empty PIN just means a PIN is needed
+				const failed = attempt === AUTH_ATTEMPTS.PIN || attempt === AUTH_ATTEMPTS.TOKEN;
+				this.emit(BrainClient.EVENTS.PIN_REQUIRED, {
+					failed,
+					reason: failed ? (data.reason || data.message || 'Invalid PIN') : null,
+				});
 
 				this.authRequired = true;
 				this._loginNeededPromise.resolve(true);
@@ -1216,6 +2077,10 @@ export default class BrainClient extends EventEmitter {
 				this.isAuthenticated = true;
 				this.authRequired    = false;
 
+				this._authAttempts.shift();
+
+				this._storeToken(data.token);
+
 				this.emit(BrainClient.EVENTS.AUTHORIZED);
 				this._loginNeededPromise.resolve(false);
 				this._authPromise.resolve();
@@ -1243,8 +2108,9 @@ export default class BrainClient extends EventEmitter {
 				let brainState = systemState['state'];
 				Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Brain in state: ' + brainState);
 
-				if (brainState === 'active_online' || 
-					brainState === 'active_offline') {
+				this._updateBrainState(brainState, systemState);
+
+				if (ACTIVE_BRAIN_STATES.includes(brainState)) {
 					if (this.syncFlag) {
 						this.syncFlag = false;
 
@@ -1256,19 +2122,11 @@ export default class BrainClient extends EventEmitter {
 						this._setConnectionStatus(BrainClient.CONNECTION_ACTIVE);
 					}
 				} else
-				if (brainState === 'brain_sync'
-				 || brainState === 'space_sync'
-				 || brainState === 'parse_space'
-				 || brainState === 'upgrading'
-			 	 || brainState === 'resources_sync'
-				 || brainState === 'activating'
-				 || brainState === 'activating'
-				 || brainState === 'initializing') {
+				if (SYNC_BRAIN_STATES.includes(brainState)) {
 					this.syncFlag = true;
 					this._setConnectionStatus(BrainClient.CONNECTION_SYNCHRONIZING);
 				} else
-				if (brainState === 'inactive'
-				 || brainState === 'error') {
+				if (FAILED_BRAIN_STATES.includes(brainState)) {
 					// TODO: Test coverage of this branch
 					this._setConnectionStatus(BrainClient.CONNECTION_FAILURE);
 				}
@@ -1297,7 +2155,75 @@ export default class BrainClient extends EventEmitter {
 	 * @private
 	 */
 	_attemptDefaultPinLogin() {
-		this.submitPin('')
+		Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Submitting default pin to brain for authentication');
+		this._submitAuthMessage({ type: 'passcode_auth_msg', token: '' }, AUTH_ATTEMPTS.DEFAULT_PIN);
+	}
+
+	/**
+	 * Authorize with the token from the `tokenCache`, if any, otherwise with the default empty PIN
+	 * @private
+	 */
+	async _attemptLogin() {
+		const token = await this._tokenCacheCall('get');
+		if(!token) {
+			this._attemptDefaultPinLogin();
+			return;
+		}
+
+		Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Trying cached session token');
+		this._submitAuthMessage({ type: 'jwt_auth_message', token }, AUTH_ATTEMPTS.CACHED_TOKEN);
+	}
+
+	/**
+	 * Send an auth message, remembering what kind of attempt it was (one of `AUTH_ATTEMPTS`)
+	 * to tell the replies apart in {@link BrainClient#_incomingBrainEvent}.
+	 * Auth messages are dropped by {@link BrainClient#sendData} if not connected, and those attempts
+	 * must not be remembered, or the replies to later attempts would be paired with the wrong ones.
+	 * @private
+	 */
+	_submitAuthMessage(message, attempt) {
+		if(!this.ws || !this.isConnected) {
+			Logger.getDefaultLogger().w(BrainClient.LOG_TAG, `Not connected, dropped ${message.type}`);
+			return;
+		}
+
+		this._authAttempts.push(attempt);
+		this.sendData(message);
+	}
+
+	/**
+	 * @private
+	 */
+	_storeToken(token) {
+		if(token) {
+			this._tokenCacheCall('set', token);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_forgetToken() {
+		this._tokenCacheCall('delete');
+	}
+
+	/**
+	 * Call `method` on the token storage for this Brain. Storage errors are logged, not thrown,
+	 * so a broken storage only costs a PIN prompt.
+	 * @private
+	 */
+	async _tokenCacheCall(method, ...args) {
+		const key = this._statusBrainId || this.ipAddress;
+		if(!this._tokenStorage || !key) {
+			return null;
+		}
+
+		try {
+			return await this._tokenStorage[method](key, ...args);
+		} catch(error) {
+			Logger.getDefaultLogger().w(BrainClient.LOG_TAG, `Token cache ${method} failed: ${error}`);
+			return null;
+		}
 	}
 
 	// The following methods (for the most part)
@@ -1308,7 +2234,7 @@ export default class BrainClient extends EventEmitter {
 	 * 
 	 * Once you submit the pin, you can `await` {@link BrainClient#isAuthorized} or listen for `BrainClient.EVENTS.AUTHORIZED` to be notified when the authorization succeeeds.
 	 * 
-	 * If the pin submitted fails, the `BrainClient.EVENTS.PIN_REQUIRED` event will be emitted again, but the connection status will not change.
+	 * If the pin submitted fails, the `BrainClient.EVENTS.PIN_REQUIRED` event will be emitted again with `failed: true`, but the connection status will not change.
 	 * 
 	 * NOTE: Response returned as a separate event via the WebSocket
 	 * 
@@ -1320,7 +2246,7 @@ export default class BrainClient extends EventEmitter {
 			token: pin
 		};
 		Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Submitting pin to brain for authentication');
-		this.sendData(pinMessage);
+		this._submitAuthMessage(pinMessage, AUTH_ATTEMPTS.PIN);
 	}
 
 	/**
@@ -1328,7 +2254,7 @@ export default class BrainClient extends EventEmitter {
 	 * 
 	 * Once you submit the token, you can `await` {@link BrainClient#isAuthorized} or listen for `BrainClient.EVENTS.AUTHORIZED` to be notified when the authorization succeeeds.
 	 * 
-	 * If the token submitted fails, the `BrainClient.EVENTS.PIN_REQUIRED` event will be emitted again, but the connection status will not change.
+	 * If the token submitted fails, the `BrainClient.EVENTS.PIN_REQUIRED` event will be emitted again with `failed: true`, but the connection status will not change.
 	 * 
 	 * NOTE: Response returned as a separate event via the WebSocket
 	 * 
@@ -1340,7 +2266,7 @@ export default class BrainClient extends EventEmitter {
 			token
 		};
 		Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Submitting authorization to brain for authentication');
-		this.sendData(message);
+		this._submitAuthMessage(message, AUTH_ATTEMPTS.TOKEN);
 	}
 
 	/**
@@ -1355,6 +2281,9 @@ export default class BrainClient extends EventEmitter {
 			type: 'get_brain_stat_message'
 		};
 		Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Querying brain\'s provisioning status');
+
+		// Count replies still due, so the heartbeat doesn't take them as its own
+		this._statusQueries ++;
 		this.sendData(provisionedMessage);
 	}
 
@@ -1373,7 +2302,19 @@ export default class BrainClient extends EventEmitter {
 		this.sendData(expressModeMessage);
 	}
 
-	wrapApiCall(apiPath, body=null, method=null) {
+	/**
+	 * Send a request to the Brain's REST API over the WebSocket, wrapped in a `ws_message_wrapper` message.
+	 * 
+	 * NOTE: Response to this request is returned as a separate event via the WebSocket
+	 * 
+	 * @param {string} apiPath Path relative to `/api/v1/`, like `'devices'`
+	 * @param {object} body Optional body, if given, the method defaults to `POST`
+	 * @param {string} method Optional HTTP method, defaults to `GET` if no body
+	 * @param {object} opts Optional, passed to {@link BrainClient#sendData}
+	 * @param {string} opts.requestId Optional correlation ID, sent as `request_id` for the Brain to echo in the reply
+	 * @returns {Promise} Same as {@link BrainClient#sendData}
+	 */
+	wrapApiCall(apiPath, body=null, method=null, opts={}) {
 		const message = {
 			method: !method && body ? 'POST' : (method || 'GET'),
 			path: '/api/v1/' + apiPath,
@@ -1384,49 +2325,132 @@ export default class BrainClient extends EventEmitter {
 			message.body = body;
 		}
 
+		if(opts.requestId) {
+			message.request_id = opts.requestId;
+		}
+
 		// console.trace("wrapApiCall:", message);
 
-		this.sendData(message);
+		return this.sendData(message, opts);
 	}
 
-	callApiSync(apiPath, filterCallback, body, method) {
-		if(typeof(filterCallback) !== 'function') {
+	/**
+	 * Send a request to the Brain's REST API over the WebSocket (see {@link BrainClient#wrapApiCall}) and wait for the reply.
+	 * 
+	 * Every request carries a unique correlation ID (`request_id`) so replies that echo it are routed to the right request,
+	 * even with many requests of the same type in flight. Replies without a `request_id` are given to the oldest pending
+	 * request whose `filterCallback` accepts them.
+	 * 
+	 * @param {string} apiPath Path relative to `/api/v1/`, like `'devices'`
+	 * @param {function} filterCallback Fallback matcher for replies that don't echo the `request_id`. Called with messages received from the Brain, must return `true` for the message that is the reply to this request. Can be `null` if the reply always echoes the `request_id`.
+	 * @param {object} body Optional body, if given, the method defaults to `POST`
+	 * @param {string} method Optional HTTP method, defaults to `GET` if no body
+	 * @param {object} opts Optional request options
+	 * @param {AbortSignal} opts.signal Optional signal (e.g. from an `AbortController`) to abort waiting for the reply
+	 * @param {number} opts.timeout Optional timeout in milliseconds, overrides the `requestTimeout` option given to the constructor
+	 * @returns {Promise} Resolves with the reply from the Brain
+	 * @throws {BrainClient.ErrorRequest} Rejects with {@link BrainClient.ErrorRequestTimeout}, {@link BrainClient.ErrorRequestAborted} or {@link BrainClient.ErrorDisconnected}
+	 */
+	callApiSync(apiPath, filterCallback, body, method, { signal, timeout } = {}) {
+		if(filterCallback && typeof(filterCallback) !== 'function') {
 			throw new Error("Invalid filterCallback, must specify a function to filter data to receive")
 		}
 
-		const promise = defer();
+		const promise = defer(),
+			startTime = Date.now(),
+			requestId = genId();
 
-		// Predeclare timer since timer needs `callback`
+		// Predeclare timer since `cleanup` needs it
 		let timer = null;
 
-		// Callback used to filter every message (using `filterCallback`)
-		// till filterCallback returns true (e.g. it finds the message that it needs
-		// as the return value)
-		const callback = msg => {
-			if(filterCallback(msg)) {
-				clearTimeout(timer);
-				this.off(BrainClient.EVENTS.WS_MESSAGE, callback);
-				promise.resolve(msg);
+		// Detach our timer/listeners, used by all outcomes below
+		const cleanup = () => {
+			clearTimeout(timer);
+			this._pendingRequests.delete(requestId);
+			if(signal) {
+				signal.removeEventListener('abort', onAbort);
 			}
+		};
+
+		const fail = (ErrorClass, message) => {
+			cleanup();
+			promise.reject(new ErrorClass(message, {
+				apiPath,
+				elapsedMs: Date.now() - startTime,
+				body,
+			}));
+		};
+
+		const onAbort = () => fail(ErrorRequestAborted, "callApiSync aborted for apiPath: " + apiPath);
+
+		if(signal && signal.aborted) {
+			onAbort();
+			return promise;
 		}
 
 		// For troubleshooting...
 		const stack = new Error().stack;
 
-		// This timer just rejects the promise if the filterCallback doesn't
-		// match a message within DEFAULT_REQUEST_TIMEOUT ms
+		// This timer just rejects the promise if no reply 
+		// is received within `timeout` (or `opts.requestTimeout`) ms
 		timer = setTimeout(() => {
-			this.off(BrainClient.EVENTS.WS_MESSAGE, callback);
-			promise.reject("callApiSync timeout for apiPath: " + apiPath + ", stack: " + stack);
-		}, this.opts.requestTimeout);
+			fail(ErrorRequestTimeout, "callApiSync timeout for apiPath: " + apiPath + ", stack: " + stack);
+		}, timeout || this.opts.requestTimeout);
 
-		this.on(BrainClient.EVENTS.WS_MESSAGE, callback);
+		if(signal) {
+			signal.addEventListener('abort', onAbort);
+		}
 
-		this.wrapApiCall(apiPath, body, method);
+		// Looked up by _dispatchReply() for every message from the brain
+		this._pendingRequests.set(requestId, {
+			filterCallback,
+			resolve: msg => {
+				cleanup();
+				promise.resolve(msg);
+			},
+			// Called by _disconnect()
+			disconnected: () => fail(ErrorDisconnected, "callApiSync disconnected before reply for apiPath: " + apiPath),
+		});
+
+		this.wrapApiCall(apiPath, body, method, { requestId });
 
 		return promise;
 	}
 
+	/**
+	 * [PRIVATE]
+	 * Route a message from the brain to the pending {@link BrainClient#callApiSync} request it replies to, if any.
+	 * 
+	 * @param {object} msg Message from the brain
+	 * @returns {boolean} `true` if the message was a reply to a pending request
+	 * @private
+	 */
+	_dispatchReply(msg) {
+		const { request_id: requestId } = msg;
+
+		if(requestId) {
+			const request = this._pendingRequests.get(requestId);
+			if(request) {
+				request.resolve(msg);
+			}
+
+			// Either ours or a reply to a request that already timed out,
+			// don't let it match some other request below
+			return !!request;
+		}
+
+		// Fallback for replies that don't echo the request_id: Map iterates
+		// in insertion order, so the oldest request that accepts the message wins
+		const request = Array.from(this._pendingRequests.values())
+			.find(({ filterCallback }) => filterCallback && filterCallback(msg));
+
+		if(request) {
+			request.resolve(msg);
+		}
+
+		return !!request;
+	}
+
 	/**
 	 * Request the brain's gateway status.
 	 * 
@@ -1439,10 +2463,58 @@ export default class BrainClient extends EventEmitter {
 		this.wrapApiCall('status')
 	}
 
+	/**
+	 * Get the handsets in the space on the Brain. The same {@link BrainHandset} object is returned for
+	 * the same handset every time, so listeners attached to it are kept.
+	 * 
+	 * **Example usage:**
+	 * ```javascript
+	 * const handsets = await bc.getHandsets();
+	 * handsets.forEach(({ id, name, type }) => console.log(id, name, type));
+	 * ```
+	 * 
+	 * @param {object} opts Optional request options, see {@link BrainClient#callApiSync}
+	 * @returns {Promise<Array<BrainHandset>>} Handsets in the order given by the Brain
+	 * @throws {BrainClient.ErrorRequest} If the Brain did not reply, see {@link BrainClient#callApiSync}
+	 */
+	async getHandsets(opts) {
+		const { handsets } = await this.callApiSync(
+			'space/query-handsets',
+			msg => Array.isArray(msg.handsets),
+			null,
+			null,
+			opts
+		);
+
+		return (handsets || []).map(data => {
+			const handset = new BrainHandset(this, data),
+				existing = this._handsets[handset.id];
+
+			if(existing) {
+				existing._updateData(data);
+				return existing;
+			}
+
+			return (this._handsets[handset.id] = handset);
+		});
+	}
+
+	/**
+	 * Get a single handset by ID or name, see {@link BrainClient#getHandsets}
+	 * 
+	 * @param {string} idOrName ID or name of the handset
+	 * @returns {Promise<BrainHandset|undefined>} The handset, or `undefined` if not found
+	 */
+	async getHandset(idOrName) {
+		const handsets = await this.getHandsets();
+		return handsets.find(({ id }) => id === idOrName) ||
+			handsets.find(({ name }) => name === idOrName);
+	}
+
 	/**
 	 * Query handsets from the brain
 	 * 
-	 * NOTE: Response to this query is returned as a separate event via the WebSocket
+	 * NOTE: Response to this query is returned as a separate event via the WebSocket. See {@link BrainClient#getHandsets} to get the handsets as {@link BrainHandset} objects instead.
 	 */
 	queryHandsets() {
 		Logger.getDefaultLogger().d(BrainClient.LOG_TAG, 'Querying handsets from brain');
@@ -1452,7 +2524,7 @@ export default class BrainClient extends EventEmitter {
 	/**
 	 * Get the layout for a specific handset from the brain and notify the Brain of the selected handset.
 	 * 
-	 * NOTE: Response to this query is returned as a separate event via the WebSocket
+	 * NOTE: Response to this query is returned as a separate event via the WebSocket. See {@link BrainHandset#getLayout} and {@link BrainHandset#watch} for a promise-based alternative.
 	 * 
 	 * @param {string} handsetId ID of the handset to requeset
 	 */
@@ -1518,9 +2590,14 @@ export default class BrainClient extends EventEmitter {
 			throw new Error("device_id required");
 		}
 	
-		// Update: Not using watchdog right now, causes too many weird problems
+		// Watchdog is opt-in (`opts.watchdog`), it caused too many weird problems
+		// to have on by default.
 		// Only enable watchdog if a device is ACTUALLY watching for states
-		// this.watchdog.enable();
+		if(this.opts.watchdog) {
+			this.watchdog.enable().catch(ex => {
+				Logger.getDefaultLogger().e(BrainClient.LOG_TAG, 'Error enabling watchdog: ', ex);
+			});
+		}
 
 		// From what I can tell on the brain,
 		// there is no actual filtering of events based on states changed.
@@ -1584,14 +2661,39 @@ Object.assign(BrainClient, {
 	SYSTEM_DRIVER_ID,
 	DEFAULT_BRAIN_PORT,
 	DEFAULT_BRAIN_IP,
+	PING_INTERVAL,
 	BrainInfo,
 	BrainDevice,
+	BrainHandset,
+	MacroBuilder,
 	EVENTS: ClientEvents,
 	...ConnectionStates,
 	CONNECTION: ConnectionStates,
+	BRAIN_STATES: BrainStates,
+	WATCHDOG_ACTIONS: ConnectionWatchdog.ACTIONS,
 	ErrorClientNotInitalized,
+	ErrorClientDisposed,
 	ErrorExpressModeDisabled,
+	ErrorInvalidPin,
+	ErrorSetupTimeout,
 	ErrorNotProvisioned,
+	ErrorRequest,
+	ErrorRequestTimeout,
+	ErrorRequestAborted,
+	ErrorDisconnected,
+	ErrorMessageExpired,
+	ErrorMessageSuperseded,
+	QUEUE_POLICIES,
+	SETUP_STAGES,
+	WebSocketTransport,
+	SessionRecorder,
+	ReplayTransport,
+	MemoryTokenStorage,
+	LocalStorageTokenStorage,
+	DriverCache,
+	LocalStorageDriverStorage,
+	IndexedDBDriverStorage,
+	exponentialBackoff,
 	Logger,
 	defer,
 	Logger,
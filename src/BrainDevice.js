@@ -3,24 +3,49 @@ import Logger from './utils/Logger';
 import genId from './utils/gen-id';
 import defer from './utils/defer';
 import SYSTEM_DRIVER_ID from './utils/system-driver-id';
+import validateParams from './utils/validate-params';
 
 /**
  * Error thrown by {@link BrainDevice#setCustomState} when trying to set a custom state on a device that is not the system device
  * @class BrainDevice.ErrorNotSystemDevice
  */
-class ErrorNotSystemDevice extends Error {};
+export class ErrorNotSystemDevice extends Error {};
 
 /**
  * Error thrown by {@link BrainDevice#setCustomState} (and others) when trying to set a custom using a key that is not a valid ID or Name
  * @class BrainDevice.ErrorInvalidState
  */
-class ErrorInvalidState extends Error {}
+export class ErrorInvalidState extends Error {}
 
 /**
  * Error thrown by {@link BrainDevice#sendCommand} when trying to send a command using a key that is not a valid ID or Name
  * @class BrainDevice.ErrorInvalidCommand
  */
-class ErrorInvalidCommand extends Error {}
+export class ErrorInvalidCommand extends Error {}
+
+/**
+ * Error thrown by {@link BrainDevice#sendCommand} when the params given don't match the params of the command in the driver,
+ * like a misspelled name, a missing required param, or a value of the wrong type or out of range. Lists every problem found.
+ * Pass `{ validate: false }` as the options to {@link BrainDevice#sendCommand} to send the params as given.
+ * 
+ * @property {string} command ID of the command
+ * @property {Array} violations Every problem found, like `[ { name: 'VOLUME', value: 120, reason: 'must be at most 100' } ]`
+ * @class BrainDevice.ErrorInvalidParameter
+ */
+export class ErrorInvalidParameter extends Error {
+	constructor(message, { command, violations = [] } = {}) {
+		super(message || `Invalid parameters for command ${command}: ` +
+			violations.map(({ name, reason }) => `${name} ${reason}`).join(', '));
+		this.command    = command;
+		this.violations = violations;
+	}
+}
+
+/**
+ * Error thrown by {@link BrainDevice#runMacro} when trying to run a macro using a key that is not a valid ID or Name
+ * @class BrainDevice.ErrorInvalidMacro
+ */
+export class ErrorInvalidMacro extends Error {}
 
 /**
  * Interface for a single device attached to a Brain. See {@link BrainClient#getDevice} on how to
@@ -43,6 +68,11 @@ class ErrorInvalidCommand extends Error {}
  * Related tutorial: 
  * * See: <a href='./tutorial-400-sendingcommands.html'>Basics/Sending Commands</a>
  * 
+ * **<h3>Macros</h3>**
+ * Drivers can define macros, a list of commands run in order. See the following methods for more info on working with macros:
+ * * Get all the macros available: {@link BrainDevice#getMacros}
+ * * Run a macro on the device: {@link BrainDevice#runMacro}
+ * 
  * **<h3>States</h3>**
  * See the following methods for more info on working with states:
  * * Get all the commands available: {@link BrainDevice#getStates} 
@@ -92,6 +122,34 @@ class ErrorInvalidCommand extends Error {}
  * @property {string} created_date Date that this device was added to the Space in Kramer Control
  * @property {object} driver Simplified device driver, for internal use, but feel free to examine if interested. Used by all the state/command methods internally. 
  */
+// Default time sendCommand and runMacro wait for the Brain to send the states changed by the command, in milliseconds
+const COMMAND_TIMEOUT = 10000;
+
+// Flags in the `states` of a wait in _stateWaits for states received while waiting (`false` while still waiting)
+const FLAG_CHANGED   = 'changed';
+const FLAG_UNCHANGED = 'unchanged';
+
+// Resolve when `promise` does, or after `timeout` ms (never, if `0`)
+function untilTimeout(promise, timeout) {
+	let timer;
+	const expired = new Promise(resolve => {
+		if(timeout) {
+			timer = setTimeout(resolve, timeout);
+		}
+	});
+
+	return Promise.race([ promise, expired ]).then(
+		value => {
+			clearTimeout(timer);
+			return value;
+		},
+		error => {
+			clearTimeout(timer);
+			throw error;
+		}
+	);
+}
+
 export default class BrainDevice extends EventEmitter {
 
 	// [internal] Create a new BrainDevice. NOTE: You should never call the constructor directly,
@@ -107,6 +165,9 @@ export default class BrainDevice extends EventEmitter {
 		
 		// So we don't call multiple _watchStateChanges when getState/getStates
 		this._hasStateChanges = false;
+
+		// Callers waiting for state updates, like `{ states, promise }`, see _ensureStateValues
+		this._stateWaits = [];
 	}
 
 	_updateData(deviceDataWithDriver) {
@@ -167,6 +228,8 @@ export default class BrainDevice extends EventEmitter {
 
 		this._commandsById = {};
 		this._commandsByName = {};
+		this._macrosById = {};
+		this._macrosByName = {};
 
 		Object.values(this.driver).forEach(category => {
 			const catInfo = {
@@ -208,21 +271,26 @@ export default class BrainDevice extends EventEmitter {
 				// extract state refs from dynamicParams
 				(dynamicParams || []).forEach(({
 					name,
+					state_key: stateKey,
 					state: {
 						reference_id: stateId
 					}
 				}) => {
 					const state = this._statesById[stateId];
-					command.params[name] = { state };
+					command.params[name] = { state, stateKey };
 					command.states[stateId] = state;
 				});
 
-				// extract static params
+				// extract static params, params bound to a state stay dynamic since that's how they are sent
 				(staticParams || []).forEach(({
 					name,
 					constraints,
 					parameter_type: type
 				}) => {
+					if(command.params[name]) {
+						return;
+					}
+
 					command.params[name] = {
 						constraints,
 						type
@@ -234,6 +302,36 @@ export default class BrainDevice extends EventEmitter {
 			});
 
 		});
+
+		// enum macros once all commands are known, since macros can use commands from any category
+		Object.values(this.driver).forEach(category => {
+			const catInfo = {
+				name: category.name,
+				id: category.reference_id,
+			};
+
+			(category.macros || []).forEach(({ name, reference_id: id, actions }) => {
+				const macro = {
+					category: catInfo,
+					id,
+					name,
+					actions: [],
+					states: {},
+				};
+
+				actions.forEach(({ command_id, parameters }) => {
+					const command = this._commandsById[command_id] || this._commandsByName[command_id];
+					const params = {};
+					parameters.forEach(({ name, value }) => params[name] = value);
+
+					macro.actions.push({ commandId: command_id, command, params });
+					Object.assign(macro.states, command ? command.states : {});
+				});
+
+				this._macrosById[id]     = macro;
+				this._macrosByName[name] = macro;
+			});
+		});
 	}
 
 	/**
@@ -257,18 +355,20 @@ export default class BrainDevice extends EventEmitter {
 		}
 	}
 
-	async _ensureStateValues(specificStates = null, force=false) {
+	// Wait for the next state update, or until every state in `specificStates` (flags by state ID, see FLAG_CHANGED)
+	// is updated, or for `timeout` ms (`0` to wait forever). Every caller has its own wait, so concurrent
+	// calls don't overwrite each other's flags.
+	async _ensureStateValues(specificStates = null, force=false, timeout=0) {
 		await this._ensureDriver();
 		if(!this._hasStateChanges || force) {
-			
-			if(!this._statePromise) {
-				this._statePromise = defer();
-			}
-
-			this._specificStates = specificStates;
+			const wait = { states: specificStates, promise: defer() };
+			this._stateWaits.push(wait);
 			this._watchStateChanges();
-			
-			await this._statePromise;
+
+			await untilTimeout(wait.promise, timeout);
+
+			// Timed out, stop waiting
+			this._stateWaits = this._stateWaits.filter(other => other !== wait);
 		}
 	}
 
@@ -357,6 +457,7 @@ export default class BrainDevice extends EventEmitter {
 	 * 	},
 	 * 	SYSTEM: {
 	 * 		state: { ... },
+	 * 		stateKey: '',
 	 * 	},
 	 * 	...
 	 * }
@@ -388,6 +489,85 @@ export default class BrainDevice extends EventEmitter {
 		return this._commandsById[key] || this._commandsByName[key];
 	}
 
+	/**
+	 * Get hash of macros defined by the device's driver, with keys being the ID and the values being the info about the macro.
+	 * See {@link BrainDevice#getMacro} for documentation on what each macro looks like.
+	 * 
+	 * @returns {object} Object containing keys of macro IDs and values being the macro info
+	 */
+	async getMacros() {
+		await this._ensureDriver();
+		return this._macrosById;
+	}
+
+	/**
+	 * Get an object describing the requested macro, or `null` if the macro doesn't exist. This is the same object
+	 * as returned from {@link BrainDevice#getMacros} as the value associated with each macro ID.
+	 * 
+	 * An example return value from this method would look like:
+	 * ```javascript
+	 * {
+	 * 	id: "POWER_ON_HDMI_1",
+	 * 	name: "Power On to HDMI 1",
+	 * 	actions: [
+	 * 		{ commandId: "SET_POWER", command: { ... }, params: { POWER: "ON" } },
+	 * 		{ commandId: "SET_INPUT", command: { ... }, params: { INPUT: "HDMI_1" } },
+	 * 	],
+	 * 	states: { ... },
+	 * 	category: { ... },
+	 * }
+	 * ```
+	 * Each of the `actions` runs a command (see {@link BrainDevice#getCommand}) with the given `params`, in order.
+	 * The `command` is `undefined` if the driver's macro uses a command the driver doesn't define.
+	 * The `states` key holds the states changed by the commands, which {@link BrainDevice#runMacro} waits for.
+	 * 
+	 * @param {string} key Macro ID or Name
+	 * @returns {object|null} Returns an object describing the macro or `null` if the macro doesn't exist
+	 */
+	async getMacro(key) {
+		await this._ensureDriver();
+		return this._macrosById[key] || this._macrosByName[key];
+	}
+
+	/**
+	 * Run a macro defined by the device's driver and return any changed states, like {@link BrainDevice#sendCommand}.
+	 * Every command of the macro is sent to the Brain in a single `send_macro_message`.
+	 * 
+	 * **Example Usage**
+	 * ```javascript
+	 * const macros = await device.getMacros();
+	 * console.log(Object.values(macros).map(({ name }) => name));
+	 * 
+	 * const results = await device.runMacro('Power On to HDMI 1');
+	 * // results is like { POWER_STATE: 'ON', INPUT_STATE: 'HDMI_1' }
+	 * ```
+	 * 
+	 * @param {string|object} key Macro ID, macro Name, or macro object
+	 * @param {object} opts Optional options
+	 * @param {number} opts.timeout Milliseconds to wait for the states changed by the macro, see {@link BrainDevice#sendCommand}
+	 * @returns {object} Values of the states changed by the macro, by state ID, with `changed`, `unchanged` and `timedOut` lists like {@link BrainDevice#sendCommand}
+	 * @throws {BrainDevice.ErrorInvalidMacro} Throws {@link BrainDevice.ErrorInvalidMacro} if given ID/Name not a defined macro
+	 * @throws {BrainDevice.ErrorInvalidCommand} Throws {@link BrainDevice.ErrorInvalidCommand} if the macro uses a command the driver doesn't define
+	 * @throws {BrainClient.ErrorMessageExpired} Throws {@link BrainClient.ErrorMessageExpired} if called while disconnected and the client did not reconnect in time to send the macro
+	 */
+	async runMacro(key, { timeout = COMMAND_TIMEOUT } = {}) {
+		const macro = key.id ? key : await this.getMacro(key);
+		if(!macro) {
+			throw new ErrorInvalidMacro("Invalid macro key " + key + " - does not match any known macro Name or ID");
+		}
+
+		const actions = macro.actions.map(({ commandId, command, params }) => {
+			if(!command) {
+				throw new ErrorInvalidCommand("Macro " + macro.name + " uses command " + commandId + " which does not match any known command Name or ID");
+			}
+
+			return this._commandAction(command, params);
+		});
+
+		Logger.getDefaultLogger().d(BrainDevice.LOG_TAG, `Running macro ${macro.id} on device ${this.id}`);
+		return this._sendMacro(actions, macro.states, timeout);
+	}
+
 	/**
 	 * Set a custom state to a given value
 	 * 
@@ -400,13 +580,33 @@ export default class BrainDevice extends EventEmitter {
 	 * @param {any}    value Any valid value
 	 * @throws {BrainDevice.ErrorNotSystemDevice} {@link BrainDevice.ErrorNotSystemDevice} if the device is not a system device
 	 * @throws {BrainDevice.ErrorInvalidState} {@link BrainDevice.ErrorInvalidState} if ID/Name is not a defined custom state value 
+	 * @throws {BrainClient.ErrorMessageExpired} {@link BrainClient.ErrorMessageExpired} if called while disconnected and the client did not reconnect in time to send the change
 	 */
 	async setCustomState(key, value) {
+		const state = this._customState(key);
+		const macro = { 
+			id:      genId(),
+			type:    'send_macro_message',
+			actions: [ this._customStateAction(state, value) ],
+		};
+
+		// send the macro, possibly queued until reconnected
+		const sent = this._client.wrapApiCall('send-macro', macro);
+
+		// wait for next update from brain, or for the queued macro to be dropped
+		this._hasStateChanges = false;
+		await Promise.all([ sent, this._ensureStateValues() ]);
+
+		return state;
+	}
+
+	// [internal] Find the custom state for a key (ID, Name or state object), throwing like setCustomState if invalid
+	_customState(key) {
 		if(!this.isSystemDevice()) {
 			throw new ErrorNotSystemDevice("Not a system device");
 		}
 
-		const state = key.id ? key : this.getState(key);
+		const state = key.id ? key : (this._statesById[key] || this._statesByName[key]);
 		if(!state) {
 			throw new ErrorInvalidState("Invalid state key " + key + " - does not match any known custom state Name or ID");
 		}
@@ -415,38 +615,38 @@ export default class BrainDevice extends EventEmitter {
 			throw new ErrorInvalidState("State " + key + " is not a custom state, you cannot set states directly that are not custom states");
 		}
 
-		const macro = { 
-			id:      genId(),
-			type:    'send_macro_message',
-			actions: [{
-				type:          "state_change",
-				device_id:     this.id,
-				capability_id: "CUSTOM_STATES",
-				category_id:   "CUSTOM_STATES",
-				state_id:      state.id,
-				state_name:    state.name,
-				static_parameters: [{
-					// "New_Value" is the required name for setting custom states.
-					// If not found, Brain will not set the state
-					"name":  "New_Value",
-					"value": (value + ""), // force-stringify since Brain does not handle literal numbers 
-				}],
+		return state;
+	}
+
+	// [internal] Build the `state_change` action of a send_macro_message
+	_customStateAction(state, value) {
+		return {
+			type:          "state_change",
+			device_id:     this.id,
+			capability_id: "CUSTOM_STATES",
+			category_id:   "CUSTOM_STATES",
+			state_id:      state.id,
+			state_name:    state.name,
+			static_parameters: [{
+				// "New_Value" is the required name for setting custom states.
+				// If not found, Brain will not set the state
+				"name":  "New_Value",
+				"value": (value + ""), // force-stringify since Brain does not handle literal numbers 
 			}],
 		};
-
-		// send the macro
-		this._client.wrapApiCall('send-macro', macro);
-
-		// wait for next update from brain
-		this._hasStateChanges = false;
-		await this._ensureStateValues();
-
-		return state;
 	}
 
 	/**
 	 * Execute command and return any changed states.
 	 * 
+	 * Params bound to a state (dynamic params, see {@link BrainDevice#getCommand}) are sent as `dynamic_parameters`
+	 * with the state's ID and key, and not as static params. Their value is the one given in `params`, or else the
+	 * current value of the state, so commands like "toggle using the current power state" work without params.
+	 * 
+	 * Resolves once the Brain sends every state referenced by the command, even if its value didn't change,
+	 * or once `opts.timeout` expires (like when the device is offline). See the returned `changed`, `unchanged`
+	 * and `timedOut` lists to tell them apart.
+	 * 
 	 * **Example Usage**
 	 * ```javascript
 	 * device.sendCommand('SEND_SYSTEM_USE', {
@@ -458,9 +658,17 @@ export default class BrainDevice extends EventEmitter {
 	 * 
 	 * @param {string|object} key Command ID, command Name, or command object - throws {@link BrainDevice.ErrorInvalidCommand} if given a command ID or name that doesn't exist
 	 * @param {object} params Key/value object of params for the command
+	 * @param {object} opts Optional options
+	 * @param {boolean} opts.validate Set to `false` to send the params without checking them against the driver (defaults to `true`)
+	 * @param {number} opts.timeout Milliseconds to wait for the Brain to send the states changed by the command (defaults to `BrainDevice.COMMAND_TIMEOUT`). Set to `0` to wait forever.
+	 * @returns {object} Values of the states changed by the command, by state ID. The object also has non-enumerable
+	 * `changed`, `unchanged` and `timedOut` lists of state IDs: states the Brain sent with a new value, states the Brain
+	 * sent with the same value (like setting an input that was already selected), and states the Brain didn't send in time.
 	 * @throws {BrainDevice.ErrorInvalidCommand} Throws {@link BrainDevice.ErrorInvalidCommand} if given ID/Name not a defined command
+	 * @throws {BrainDevice.ErrorInvalidParameter} Throws {@link BrainDevice.ErrorInvalidParameter} if the params don't match the params of the command in the driver (see {@link BrainDevice#getCommand}), unless `opts.validate` is `false`
+	 * @throws {BrainClient.ErrorMessageExpired} Throws {@link BrainClient.ErrorMessageExpired} if called while disconnected and the client did not reconnect in time to send the command
 	 */
-	async sendCommand(key, params={}) {
+	async sendCommand(key, params={}, { validate = true, timeout = COMMAND_TIMEOUT } = {}) {
 		// console.log(` * send command > ${key} > start`);
 		// await this._ensureStateValues(null, true);
 
@@ -469,51 +677,135 @@ export default class BrainDevice extends EventEmitter {
 			throw new ErrorInvalidCommand("Invalid command key " + key + " - does not match any known command Name or ID");
 		}
 
-		const macro = {
-			id:   genId(),
-			type: 'send_macro_message',
-			actions: [{
-				type:               "command",
-				capability_id:      command.capability.id,
-				category_id:        command.category.id,
-				command_id:         command.id,
-				command_name:       command.name,
-				device_driver_id:   this.device_driver_id,
-				device_id:          this.id,
-				dynamic_parameters: [],
-				gesture:            "",
-				static_parameters:  Object.keys(params).map(name => {
+		if(validate) {
+			this._validateParams(command, params);
+		}
+
+		await this._ensureDynamicValues(command, params, timeout);
+
+		return this._sendMacro([ this._commandAction(command, params) ], command.states, timeout);
+	}
+
+	// [internal] Throw ErrorInvalidParameter if params don't match the command's params from the driver
+	_validateParams(command, params) {
+		const violations = validateParams(command, params);
+		if(violations.length) {
+			throw new ErrorInvalidParameter(null, { command: command.id, violations });
+		}
+	}
+
+	// [internal] Build the `command` action of a send_macro_message. Params bound to a state
+	// are only sent in `dynamic_parameters`, the others in `static_parameters`
+	_commandAction(command, params={}) {
+		const dynamicParams = this._dynamicParams(command, params);
+		const dynamicNames  = dynamicParams.map(({ name }) => name.toUpperCase());
+
+		return {
+			type:               "command",
+			capability_id:      command.capability.id,
+			category_id:        command.category.id,
+			command_id:         command.id,
+			command_name:       command.name,
+			device_driver_id:   this.device_driver_id,
+			device_id:          this.id,
+			dynamic_parameters: dynamicParams,
+			gesture:            "",
+			static_parameters:  Object.keys(params)
+				.filter(name => !dynamicNames.includes(name.toUpperCase()))
+				.map(name => {
 					return {
 						id:    genId(),
 						name:  name.toUpperCase(),
 						value: params[name] + "",
 					}
 				}),
-			}]
+		};
+	}
+
+	// [internal] Build the `dynamic_parameters` of a command action: one for each param bound to a state,
+	// with the value given, or else the current value of the state (if known, see _ensureDynamicValues)
+	_dynamicParams(command, params) {
+		const given = {};
+		Object.keys(params).forEach(name => given[name.toUpperCase()] = params[name]);
+
+		return Object.keys(command.params || {})
+			.filter(name => command.params[name].state)
+			.map(name => {
+				const { state, stateKey } = command.params[name];
+				const value = given[name.toUpperCase()] !== undefined ? given[name.toUpperCase()] : state.value;
+
+				const param = {
+					id:        genId(),
+					name,
+					state_id:  state.id,
+					state_key: stateKey || "",
+				};
+
+				if(value !== undefined && value !== null) {
+					param.value = value + ""; // force-stringify like static params
+				}
+
+				return param;
+			});
+	}
+
+	// [internal] Wait (up to `timeout` ms) for the current values of states bound to params not given,
+	// so _dynamicParams can send them
+	async _ensureDynamicValues(command, params, timeout=COMMAND_TIMEOUT) {
+		const given = Object.keys(params).map(name => name.toUpperCase());
+		const unknown = Object.keys(command.params || {}).some(name => {
+			const { state } = command.params[name];
+			return state && state.value === null && !given.includes(name.toUpperCase());
+		});
+
+		if(unknown) {
+			await this._ensureStateValues(null, false, timeout);
+		}
+	}
+
+	// [internal] Send a send_macro_message with the given actions and return the values
+	// of the given states (by ID) once the Brain has sent an update for each of them
+	async _sendMacro(actions, states, timeout) {
+		const macro = {
+			id:   genId(),
+			type: 'send_macro_message',
+			actions,
 		};
 
-		// send the macro
-		this._client.wrapApiCall('send-macro', macro);
+		// send the macro, possibly queued until reconnected
+		const sent = this._client.wrapApiCall('send-macro', macro);
 
-		// console.log(` * send command > ${key} > command.states`, command.states);
+		// wait for next update from brain, or for the queued macro to be dropped
+		const [ , results ] = await Promise.all([ sent, this._stateResults(states, timeout) ]);
+		return results;
+	}
 
+	// [internal] Wait for the Brain to send an update for each of the given states (by ID), or for `timeout` ms,
+	// and return their values, see sendCommand for the `changed`/`unchanged`/`timedOut` lists
+	async _stateResults(states, timeout=COMMAND_TIMEOUT) {
 		// Setup specific hash so flags can be set
 		const specificStates = {};
-		Object.keys(command.states).forEach(id => specificStates[id] = false);
-		
-		// wait for next update from brain
-		await this._ensureStateValues(specificStates, true);
+		Object.keys(states).forEach(id => specificStates[id] = false);
+
+		if(Object.keys(specificStates).length) {
+			await this._ensureStateValues(specificStates, true, timeout);
+		}
 
 		const results = {};
 
-		Object.keys(command.states).forEach(id => {
+		Object.keys(states).forEach(id => {
 			results[id] = this._statesById[id].value;
 		});
 
-		// console.log(` * send command > ${key} > end`);
-		return results;
-	}
+		const withFlag = flag => Object.keys(specificStates).filter(id => specificStates[id] === flag);
 
+		// Not enumerable, so results can still be used as a plain object of values
+		return Object.defineProperties(results, {
+			changed:   { value: withFlag(FLAG_CHANGED) },
+			unchanged: { value: withFlag(FLAG_UNCHANGED) },
+			timedOut:  { value: withFlag(false) },
+		});
+	}
 
 	/**
 	 * Attach an event listener to this device. If you pass the `STATE_CHANGED` event
@@ -591,7 +883,7 @@ export default class BrainDevice extends EventEmitter {
 	_reconnected() {
 		if(this._watchStateRequested) {
 			// TODO: Add test coverage of this branch/situation
-			console.log("[Device] reconnected, reqeusting state watch again for ", this.id, this.name)
+			Logger.getDefaultLogger().d(BrainDevice.LOG_TAG, `Reconnected, requesting state watch again for ${this.id} (${this.name})`);
 			this._client.watchStates(this.id);
 		}
 	}
@@ -654,7 +946,8 @@ export default class BrainDevice extends EventEmitter {
 					newValue = normalizedValue;
 				}
 
-				if (state.normalizedValue !== newValue) {
+				const changed = state.normalizedValue !== newValue;
+				if (changed) {
 					const oldValue = state.normalizedValue;
 					state.normalizedValue = newValue;
 					
@@ -665,35 +958,30 @@ export default class BrainDevice extends EventEmitter {
 					// }
 
 					// Logger.getDefaultLogger().d(BrainDevice.LOG_TAG, "Device state changed, normalizedChange=", normalizedChange);
+				}
 
-					if (this._statePromise) {
-						let completed = true;
-
-						if (this._specificStates) {
-							completed = false;
-							if(this._specificStates[id] !== undefined) {
-								this._specificStates[id] = true;
-								// Only completed if all _specificStates set to true indicating all states are received
-								const remainingStates = Object.values(this._specificStates).filter(flag => flag === false);
-								completed = remainingStates.length === 0;
-
-								// if(id === 'TEMP_UNIT_STATE') {
-								// 	console.log("[___SPECIFIC_STATES___]", { id, specificStates: this._specificStates, completed, value });
-								// 	console.log(" ** ", remainingStates);
-								// }
-							}
+				// The Brain sends the state after a command even if the value didn't change,
+				// so waits complete on any update, flagging if it was a change or not
+				this._stateWaits = this._stateWaits.filter(wait => {
+					const { states } = wait;
+					if (states) {
+						if(states[id] === undefined) {
+							return true;
 						}
 
-						if(completed) {
-							// console.log(` * process state changes, has _statePromise, but now completed, specificStates is:`, this._specificStates);
-							this._statePromise.resolve();
-							this._statePromise = null;
-							this._specificStates = null;
+						if(states[id] !== FLAG_CHANGED) {
+							states[id] = changed ? FLAG_CHANGED : FLAG_UNCHANGED;
+						}
+
+						// Only completed if no states are still false indicating all states are received
+						if(Object.values(states).some(flag => flag === false)) {
+							return true;
 						}
 					}
-				} else {
-					// State change event received, but value was not changed ...
-				}
+
+					wait.promise.resolve();
+					return false;
+				});
 			} else {
 				// console.log("State ID not found in internal enum:", id, Object.keys(this._statesById));
 				if(!this.warnedMissing) {
@@ -712,6 +1000,17 @@ export default class BrainDevice extends EventEmitter {
 
 Object.assign(BrainDevice, {
 	ErrorNotSystemDevice,
+	ErrorInvalidState,
+	ErrorInvalidCommand,
+	ErrorInvalidParameter,
+	ErrorInvalidMacro,
+
+	/**
+	 * @property {number} COMMAND_TIMEOUT - Static class property, default milliseconds {@link BrainDevice#sendCommand} and {@link BrainDevice#runMacro}
+	 * wait for the Brain to send the states changed by the command (`10000`)
+	 * @memberof BrainDevice
+	 */
+	COMMAND_TIMEOUT,
 
 	/**
 	 * @property {string} STATE_CHANGED - Static class property, event name that is emitted when a state on 
@@ -0,0 +1,243 @@
+import 'isomorphic-fetch';
+import EventEmitter from 'events';
+import WebSocket from 'isomorphic-ws';
+import BrainInfo from './BrainInfo';
+import Logger from './utils/Logger';
+import brainUrls from './utils/brain-urls';
+import expandCidr from './utils/cidr';
+import fetchWithTimeout from './utils/fetch-with-timeout';
+import promisePool from './utils/promise-pool';
+
+/**
+ * Finds Brains on the local network by probing a range of addresses, so users don't have to type in Brain IPs.
+ * Designed for Node - browsers can't make requests to arbitrary hosts on the LAN without CORS, so this will not find much there.
+ *
+ * Each address is probed by requesting the `general` route of the Brain's REST API (`/api/v1/general`) and, if that
+ * looks like a Brain, by opening (and immediately closing) the `web-client` WebSocket, both with short timeouts.
+ *
+ * Brains are emitted with the `BrainDiscovery.BRAIN_FOUND` event as soon as they are found, and
+ * {@link BrainDiscovery#scan} resolves to the full list when the scan is finished.
+ *
+ * **Example usage:**
+ * ```javascript
+ * const discovery = new BrainDiscovery({ cidr: '10.0.1.0/24' });
+ * discovery.on(BrainDiscovery.BRAIN_FOUND, brain => {
+ * 	console.log(`Found ${brain.brain_id} (${brain.space_name}) at ${brain.ipAddress}`);
+ * });
+ *
+ * const brains = await discovery.scan();
+ * const bc = BrainClient.getBrainClient(brains[0].ipAddress);
+ * ```
+ *
+ * **<h3>Results</h3><a name='results'></a>**
+ * Each result is a {@link BrainInfo} (so `brain_id`, `hardware_model`, `space_name`, `brain_provisioned`, etc are all available)
+ * with two extra properties:
+ * * `ipAddress` (`string`) - Address of the Brain including the port, ready to pass to {@link BrainClient#connectToBrain}
+ * * `socketReachable` (`boolean`) - `true` if the `web-client` WebSocket accepted a connection. A Brain with `false` here answered the REST API but may not accept a {@link BrainClient} connection.
+ *
+ * @property {object} opts Options given to the constructor
+ */
+export default class BrainDiscovery extends EventEmitter {
+	/**
+	 * Create a new discovery scanner. Note this does not start scanning, use {@link BrainDiscovery#scan} for that.
+	 *
+	 * @param {object} opts Options for the scan
+	 * @param {string|Array} opts.cidr IPv4 CIDR range (like `10.0.1.0/24`) or list of ranges to probe. Prefixes from `/16` to `/32` are accepted.
+	 * @param {Array} opts.hosts Additional addresses to probe, like `10.0.1.5` or `10.0.1.5:8001`. Addresses without a port are probed on every port in `opts.ports`
+	 * @param {number|Array} opts.ports Port or list of ports to probe on each address in `opts.cidr` (defaults to `8000`)
+	 * @param {number} opts.timeout Milliseconds to wait for each address to answer, for the REST request and the WebSocket separately (defaults to `1000`)
+	 * @param {number} opts.concurrency Maximum number of addresses probed at the same time (defaults to `32`)
+	 * @param {boolean} opts.checkSocket Set to `false` to skip opening the WebSocket, `socketReachable` will be `undefined` in the results (defaults to `true`)
+	 * @param {boolean} opts.secure If `true`, probe with `https://` and `wss://` instead (defaults to `false`)
+	 */
+	constructor(opts={}) {
+		super();
+
+		this.opts = Object.assign({
+			cidr:        [],
+			hosts:       [],
+			ports:       [ BrainDiscovery.DEFAULT_PORT ],
+			timeout:     BrainDiscovery.DEFAULT_TIMEOUT,
+			concurrency: BrainDiscovery.DEFAULT_CONCURRENCY,
+			checkSocket: true,
+			secure:      false,
+		}, opts || {});
+
+		this._stopped = false;
+	}
+
+	/**
+	 * Static convenience method to create a {@link BrainDiscovery}, scan, and return the results.
+	 * If `onFound` is given, it is called with each Brain as soon as it is found.
+	 *
+	 * @param {object} opts Options for the scan, see {@link BrainDiscovery}
+	 * @param {function} onFound Optional callback, called with each Brain found
+	 * @returns {Array} List of Brains found, see <a href='#results'>Results</a>
+	 */
+	static async scan(opts, onFound) {
+		const discovery = new BrainDiscovery(opts);
+		if(onFound) {
+			discovery.on(BrainDiscovery.BRAIN_FOUND, onFound);
+		}
+		return discovery.scan();
+	}
+
+	/**
+	 * Get the list of addresses (including port) that {@link BrainDiscovery#scan} will probe
+	 * @returns {Array} List of addresses like `10.0.1.5:8000`
+	 * @throws {Error} If a CIDR range or address is invalid
+	 */
+	getTargets() {
+		const { cidr, hosts, ports } = this.opts;
+		const portList = [].concat(ports);
+		const withPorts = host => /:\d+$/.test(host) ? [ host ] : portList.map(port => `${host}:${port}`);
+
+		const targets = [];
+		[].concat(cidr || []).forEach(range => {
+			expandCidr(range).forEach(host => targets.push(...withPorts(host)));
+		});
+		[].concat(hosts || []).forEach(host => targets.push(...withPorts(host)));
+
+		// Overlapping ranges shouldn't probe the same address twice
+		return Array.from(new Set(targets));
+	}
+
+	/**
+	 * Probe every address in the range, emitting `BrainDiscovery.BRAIN_FOUND` for each Brain as soon as it is found.
+	 *
+	 * @returns {Array} List of Brains found, in the order of the addresses probed. See <a href='#results'>Results</a>
+	 * @throws {Error} If a CIDR range or address is invalid
+	 */
+	async scan() {
+		const targets = this.getTargets();
+		this._stopped = false;
+
+		const results = await promisePool(targets, this.opts.concurrency, async ipAddress => {
+			if(this._stopped) {
+				return null;
+			}
+
+			const brain = await this.probe(ipAddress);
+			if(brain && !this._stopped) {
+				this.emit(BrainDiscovery.BRAIN_FOUND, brain);
+				return brain;
+			}
+
+			return null;
+		});
+
+		return results.filter(Boolean);
+	}
+
+	/**
+	 * Stop a scan in progress. Probes already started are allowed to finish, but their results are ignored,
+	 * and {@link BrainDiscovery#scan} resolves with the Brains found so far.
+	 */
+	stop() {
+		this._stopped = true;
+	}
+
+	/**
+	 * Probe a single address for a Brain
+	 *
+	 * @param {string} ipAddress Address including port, like `10.0.1.5:8000`
+	 * @returns {BrainInfo|null} The Brain found (see <a href='#results'>Results</a>) or `null` if no Brain answered at that address
+	 */
+	async probe(ipAddress) {
+		const { secure, checkSocket } = this.opts;
+		const { httpUrl, socketUrl } = brainUrls(ipAddress, { secure });
+
+		let info;
+		try {
+			info = await this._fetchInfo(httpUrl + 'general');
+		} catch(ex) {
+			// Nothing there, or not something that speaks JSON
+			return null;
+		}
+
+		if(!info || !info.brain_id) {
+			return null;
+		}
+
+		Logger.getDefaultLogger().d(BrainDiscovery.LOG_TAG, `Found Brain ${info.brain_id} at ${ipAddress}`);
+
+		return new BrainInfo({
+			...info,
+			ipAddress,
+			socketReachable: checkSocket ? await this._checkSocket(socketUrl) : undefined,
+		});
+	}
+
+	/**
+	 * [PRIVATE]
+	 * Resolves to the JSON body of `url`, or `null` for an error status. Rejects if the headers *and* body
+	 * don't arrive within `opts.timeout`, since a server can answer quickly and then stall sending the body.
+	 * @private
+	 */
+	_fetchInfo(url) {
+		const { timeout } = this.opts;
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => reject(new Error(`Timed out reading ${url}`)), timeout);
+
+			fetchWithTimeout(url, { timeout })
+				.then(res => res.ok ? res.json() : null)
+				.then(resolve, reject)
+				.then(() => clearTimeout(timer));
+		});
+	}
+
+	/**
+	 * [PRIVATE]
+	 * Resolves to `true` if a WebSocket connection to `socketUrl` opens within `opts.timeout`
+	 * @private
+	 */
+	_checkSocket(socketUrl) {
+		return new Promise(resolve => {
+			let ws;
+			const done = ok => {
+				clearTimeout(timer);
+				if(ws) {
+					// Don't care about errors closing a socket we're finished with,
+					// like closing one that is still connecting
+					ws.onopen  = null;
+					ws.onerror = ws.onclose = () => {};
+					try { ws.close(); } catch(ex) {}
+				}
+				resolve(ok);
+			};
+
+			const timer = setTimeout(() => done(false), this.opts.timeout);
+
+			try {
+				ws = new WebSocket(socketUrl);
+			} catch(ex) {
+				done(false);
+				return;
+			}
+
+			ws.onopen  = () => done(true);
+			ws.onerror = () => done(false);
+		});
+	}
+}
+
+Object.assign(BrainDiscovery, {
+	/**
+	 * @property {string} BRAIN_FOUND - Static class property, event name emitted with each Brain found during {@link BrainDiscovery#scan}.
+	 * See <a href='#results'>Results</a> for the payload.
+	 * @memberof BrainDiscovery
+	 */
+	BRAIN_FOUND: "BRAIN_FOUND",
+
+	// Default for opts.ports
+	DEFAULT_PORT: 8000,
+
+	// Default for opts.timeout
+	DEFAULT_TIMEOUT: 1000,
+
+	// Default for opts.concurrency
+	DEFAULT_CONCURRENCY: 32,
+
+	// Internal prop used for logging
+	LOG_TAG: "BrainDiscovery",
+});
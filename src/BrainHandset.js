@@ -0,0 +1,180 @@
+import EventEmitter from 'events';
+import Logger from './utils/Logger';
+import ClientEvents from './ClientEvents';
+
+// Default time getLayout waits for the layout, in milliseconds. Layouts can be much
+// larger than other replies, so the client's `requestTimeout` is often too short
+const LAYOUT_TIMEOUT = 10000;
+
+/**
+ * A handset (a control panel UI designed in KC Builder, like a touch panel or web UI) in the space on the Brain.
+ * See {@link BrainClient#getHandsets} to get the handsets of the connected Brain.
+ *
+ * **Example usage:**
+ * ```javascript
+ * const [ handset ] = await bc.getHandsets();
+ * const layout = await handset.getLayout();
+ *
+ * handset.on(BrainHandset.LAYOUT_CHANGED, ({ layout }) => render(layout));
+ * handset.watch();
+ * ```
+ *
+ * *NOTE:* You should never call the constructor directly, handsets are created by the {@link BrainClient}.
+ * This class is accessible as `BrainClient.BrainHandset` if you need it for typechecking, etc.
+ *
+ * @property {string} id ID of the handset
+ * @property {string} name Name of the handset
+ * @property {string} type Type of handset, as given by the Brain
+ * @property {object} layout Layout from the last {@link BrainHandset#getLayout} or `LAYOUT_CHANGED`, or `null` if not received yet
+ * @property {object} data Handset as sent by the Brain, including any fields not listed here
+ */
+export default class BrainHandset extends EventEmitter {
+
+	// [internal] Create a new BrainHandset. NOTE: You should never call the constructor directly,
+	// this will be called by the BrainClient when enumerating handsets.
+	constructor(brainClient, data) {
+		super();
+
+		this._client  = brainClient;
+		this.layout   = null;
+		this.watching = false;
+
+		// `true` while listening to the client for updates, see watch()
+		this._listening = false;
+
+		this._updateData(data);
+
+		this._onHandsetMessage = msg => this._handsetMessage(msg);
+	}
+
+	_updateData(data={}) {
+		this.data = data;
+		this.id   = data.id   !== undefined ? data.id   : data.handset_id;
+		this.name = data.name !== undefined ? data.name : data.handset_name;
+		this.type = data.type !== undefined ? data.type : data.handset_type;
+	}
+
+	/**
+	 * Get the layout of this handset from the Brain
+	 *
+	 * @param {object} opts Optional request options, see {@link BrainClient#callApiSync}
+	 * @param {number} opts.timeout Optional timeout in milliseconds (defaults to `BrainHandset.LAYOUT_TIMEOUT`)
+	 * @returns {Promise<object>} The layout, parsed from JSON if the Brain sent it as a string
+	 * @throws {BrainClient.ErrorRequest} If the Brain did not reply, see {@link BrainClient#callApiSync}
+	 */
+	async getLayout(opts={}) {
+		const reply = await this._client.callApiSync(
+			'layout/' + this.id,
+			msg => msg.layout !== undefined && this._isForThisHandset(msg),
+			null,
+			null,
+			{ timeout: LAYOUT_TIMEOUT, ...opts }
+		);
+
+		return (this.layout = BrainHandset.parseLayout(reply.layout));
+	}
+
+	/**
+	 * Tell the Brain this handset is in use, so the Brain sends updates to the layout (like feedback
+	 * from devices), which are emitted as `BrainHandset.LAYOUT_CHANGED` on this handset.
+	 *
+	 * @returns {Promise} Same as {@link BrainClient#sendData}
+	 */
+	watch() {
+		this.watching = true;
+		this._listen();
+
+		return this._setHandset(true);
+	}
+
+	_listen() {
+		if(!this._listening) {
+			this._listening = true;
+			this._client.on(ClientEvents.HANDSET_MESSAGE, this._onHandsetMessage);
+		}
+	}
+
+	/**
+	 * Stop receiving layout updates started by {@link BrainHandset#watch}
+	 *
+	 * @returns {Promise} Same as {@link BrainClient#sendData}
+	 */
+	unwatch() {
+		this.watching   = false;
+		this._listening = false;
+		this._client.off(ClientEvents.HANDSET_MESSAGE, this._onHandsetMessage);
+
+		return this._setHandset(false);
+	}
+
+	/**
+	 * Called by the client after reconnecting, so the Brain keeps sending updates
+	 * @private
+	 */
+	_reconnected() {
+		if(this.watching) {
+			this._setHandset(true);
+		}
+	}
+
+	_setHandset(watch) {
+		Logger.getDefaultLogger().d(BrainHandset.LOG_TAG, `${watch ? 'Watching' : 'Unwatching'} handset ${this.id}`);
+		return this._client.wrapApiCall('set-handset', {
+			handset_id: this.id,
+			watch,
+			type: 'set_handset_message'
+		});
+	}
+
+	_handsetMessage(msg) {
+		if(msg.layout === undefined || !this._isForThisHandset(msg)) {
+			return;
+		}
+
+		this.layout = BrainHandset.parseLayout(msg.layout);
+		this.emit(BrainHandset.LAYOUT_CHANGED, { layout: this.layout, message: msg });
+	}
+
+	// Messages without a handset_id are assumed to be for the handset asked about
+	_isForThisHandset({ handset_id }) {
+		return handset_id === undefined || handset_id === this.id;
+	}
+
+	/**
+	 * Parse a layout from the Brain, which may be sent as a JSON string
+	 * @param {object|string} layout
+	 * @returns {object}
+	 */
+	static parseLayout(layout) {
+		if(typeof(layout) !== 'string') {
+			return layout;
+		}
+
+		try {
+			return JSON.parse(layout);
+		} catch(e) {
+			Logger.getDefaultLogger().e(BrainHandset.LOG_TAG, 'Error parsing layout json: ' + layout);
+			return layout;
+		}
+	}
+}
+
+Object.assign(BrainHandset, {
+	/**
+	 * @property {string} LAYOUT_CHANGED - Static class property, event name emitted when the Brain sends an updated
+	 * layout for a handset being watched (see {@link BrainHandset#watch}). The payload is an object like
+	 * `{ layout, message }`, where `layout` is the parsed layout and `message` is the message from the Brain.
+	 * @memberof BrainHandset
+	 */
+	LAYOUT_CHANGED: "LAYOUT_CHANGED",
+
+	/**
+	 * @property {number} LAYOUT_TIMEOUT - Static class property, default milliseconds {@link BrainHandset#getLayout}
+	 * waits for the layout
+	 * @memberof BrainHandset
+	 */
+	LAYOUT_TIMEOUT,
+
+	// Internal prop used for logging
+	LOG_TAG: "BrainHandset",
+});
@@ -0,0 +1,326 @@
+import EventEmitter from 'events';
+import BrainClient from './BrainClient';
+import BrainDevice from './BrainDevice';
+import Logger from './utils/Logger';
+import promisePool from './utils/promise-pool';
+
+/**
+ * Manages many {@link BrainClient}s at once, for fleet applications like a dashboard watching every room in a building.
+ *
+ * The pool:
+ * * Creates one {@link BrainClient} per Brain and connects them with a bounded number of connections in progress at once (see {@link BrainPool#connect})
+ * * Counts how many Brains are in each connection state (see {@link BrainPool#getStatusCounts})
+ * * Re-emits `STATE_CHANGED` events from every device on every Brain, tagged with the Brain ID (see <a href='#statechanges'>below</a>)
+ * * Looks up devices by Brain ID and device name or ID (see {@link BrainPool#findDevice})
+ *
+ * **Example usage:**
+ * ```javascript
+ * const pool = new BrainPool([
+ * 	'10.0.1.10:8000',
+ * 	{ id: 'boardroom', ipAddress: '10.0.1.11:8000', pin: '1234' },
+ * ], { maxConcurrentConnects: 4 });
+ *
+ * pool.on(BrainPool.CONNECTION_STATUS_CHANGED, ({ brainId, status, counts }) => {
+ * 	console.log(`${brainId} is now ${status}, ${counts[BrainClient.CONNECTION_ACTIVE]} rooms online`);
+ * });
+ *
+ * await pool.connect();
+ *
+ * const projector = await pool.findDevice('boardroom', 'Projector');
+ * ```
+ *
+ * **<h3>Brain IDs</h3>**
+ * Each Brain in the pool is identified by the `id` given when adding it, or its address if no `id` is given.
+ * This is the `brainId` used by all the methods and events of the pool.
+ *
+ * **<h3>Listening for State Changes</h3><a name='statechanges'></a>**
+ * Attaching a listener for `BrainPool.STATE_CHANGED` watches every device on every connected Brain in the pool.
+ * The payload looks like `{ brainId, device, state }`, where `device` is the {@link BrainDevice} and `state` is the same
+ * payload the device emits for its own `BrainDevice.STATE_CHANGED` event.
+ * Removing the last listener stops watching the devices.
+ *
+ * @property {object} opts Options given to the constructor
+ */
+export default class BrainPool extends EventEmitter {
+	/**
+	 * Create a new pool. Note this does not connect to the Brains, use {@link BrainPool#connect} for that.
+	 *
+	 * @param {Array} brains List of Brains to add, see {@link BrainPool#add} for the format of each entry
+	 * @param {object} opts Options for the pool, all optional
+	 * @param {number} opts.maxConcurrentConnects Maximum number of Brains connecting at the same time (defaults to `4`)
+	 * @param {object} opts.clientOptions Options given to the constructor of every {@link BrainClient}, merged with the `opts` of each Brain given to {@link BrainPool#add}
+	 */
+	constructor(brains=[], opts={}) {
+		super();
+
+		this.opts = Object.assign({
+			maxConcurrentConnects: BrainPool.MAX_CONCURRENT_CONNECTS,
+			clientOptions: {},
+		}, opts || {});
+
+		// Pool entries by brainId
+		this._brains = {};
+
+		(brains || []).forEach(brain => this.add(brain));
+	}
+
+	/**
+	 * Add a Brain to the pool. Does not connect it - call {@link BrainPool#connect} after adding.
+	 *
+	 * @param {string|object} brain Address of the Brain (like `10.0.1.10:8000`), or an object describing it:
+	 * @param {string} brain.ipAddress Address of the Brain, anything accepted by {@link BrainClient#connectToBrain}
+	 * @param {string} brain.id Optional ID for the Brain in this pool, defaults to `ipAddress`
+	 * @param {string|function} brain.pin Optional PIN or PIN callback, see {@link BrainClient#connectToBrain}
+	 * @param {string} brain.auth Optional JWT to authorize instead of a PIN, see {@link BrainClient#connectToBrain}
+	 * @param {object} brain.opts Optional options for this Brain's {@link BrainClient} constructor
+	 * @returns {BrainClient} The client for the Brain
+	 * @throws {Error} If a Brain with the same ID is already in the pool
+	 */
+	add(brain) {
+		const { id, ipAddress, pin, auth, opts } = typeof(brain) === 'string' ? { ipAddress: brain } : (brain || {});
+		const brainId = id || ipAddress;
+
+		if(!brainId) {
+			throw new Error("Brain address required");
+		}
+
+		if(this._brains[brainId]) {
+			throw new Error(`Brain ${brainId} already in pool`);
+		}
+
+		// The pool owns and disposes its clients, so getBrainClient must not hand them out
+		const client = new BrainClient({ ...this.opts.clientOptions, ...(opts || {}), cache: false });
+
+		const entry = this._brains[brainId] = {
+			brainId,
+			ipAddress,
+			pin,
+			auth,
+			client,
+			// BrainDevice => STATE_CHANGED listener, see _watchDevices
+			watched: new Map(),
+		};
+
+		client.on(BrainClient.EVENTS.CONNECTION_STATUS_CHANGED, entry.statusListener = ({ status }) => {
+			this.emit(BrainPool.CONNECTION_STATUS_CHANGED, {
+				brainId,
+				status,
+				counts: this.getStatusCounts(),
+			});
+
+			if(status === BrainClient.CONNECTION_ACTIVE && this._isWatching()) {
+				this._watchDevices(entry);
+			}
+		});
+
+		return client;
+	}
+
+	/**
+	 * Remove a Brain from the pool, disposing its client (see {@link BrainClient#dispose})
+	 * @param {string} brainId ID of the Brain
+	 */
+	remove(brainId) {
+		const entry = this._brains[brainId];
+		if(!entry) {
+			return;
+		}
+
+		// Detached first so disposing (or anything the client does after) doesn't reach pool listeners
+		delete this._brains[brainId];
+		entry.client.off(BrainClient.EVENTS.CONNECTION_STATUS_CHANGED, entry.statusListener);
+
+		this._unwatchDevices(entry);
+		entry.client.dispose();
+	}
+
+	/**
+	 * Get the IDs of all the Brains in the pool
+	 * @returns {Array} List of Brain IDs
+	 */
+	getBrainIds() {
+		return Object.keys(this._brains);
+	}
+
+	/**
+	 * Get the {@link BrainClient} for a Brain in the pool
+	 * @param {string} brainId ID of the Brain
+	 * @returns {BrainClient|null} The client or `null` if no such Brain in the pool
+	 */
+	getClient(brainId) {
+		const entry = this._brains[brainId];
+		return entry ? entry.client : null;
+	}
+
+	/**
+	 * Connect every Brain in the pool that is not already connected, with at most `maxConcurrentConnects` connecting at the same time.
+	 *
+	 * A Brain that fails to connect does not stop the others. Its error (or `CONNECTION_FAILURE` status) is
+	 * included in the result, and `BrainPool.CONNECT_ERROR` is emitted with `{ brainId, error }`.
+	 *
+	 * @returns {object} Object with keys being Brain IDs and values being the connection status of that Brain (one of {@link BrainClient.CONNECTION}) or the `Error` thrown while connecting
+	 */
+	async connect() {
+		const entries = Object.values(this._brains)
+			.filter(({ client }) => client.getConnectionStatus() !== BrainClient.CONNECTION_ACTIVE);
+
+		const results = await promisePool(entries, this.opts.maxConcurrentConnects, async entry => {
+			const { brainId, ipAddress, pin, auth, client } = entry;
+			try {
+				return await client.connectToBrain(ipAddress, pin, auth);
+			} catch(error) {
+				Logger.getDefaultLogger().e(BrainPool.LOG_TAG, `Error connecting to ${brainId}: `, error);
+				this.emit(BrainPool.CONNECT_ERROR, { brainId, error });
+				return error;
+			}
+		});
+
+		const statusById = {};
+		entries.forEach(({ brainId }, idx) => statusById[brainId] = results[idx]);
+		return statusById;
+	}
+
+	/**
+	 * Disconnect every Brain in the pool. Brains stay in the pool, use {@link BrainPool#connect} to reconnect.
+	 */
+	disconnect() {
+		Object.values(this._brains).forEach(entry => {
+			this._unwatchDevices(entry);
+			entry.client.disconnect();
+		});
+	}
+
+	/**
+	 * Count how many Brains are in each connection state.
+	 *
+	 * **Example return value:**
+	 * ```javascript
+	 * {
+	 * 	[BrainClient.CONNECTION_ACTIVE]: 38,
+	 * 	[BrainClient.CONNECTION_RECONNECTING]: 2,
+	 * 	// ... every other state in BrainClient.CONNECTION, with 0 if no Brains in that state
+	 * }
+	 * ```
+	 *
+	 * @returns {object} Object with keys being the connection states from {@link BrainClient.CONNECTION} and values being the number of Brains in that state. Brains that have not started connecting are not counted.
+	 */
+	getStatusCounts() {
+		const counts = {};
+		Object.values(BrainClient.CONNECTION).forEach(status => counts[status] = 0);
+
+		Object.values(this._brains).forEach(({ client }) => {
+			const status = client.getConnectionStatus();
+			if(status) {
+				counts[status] = (counts[status] || 0) + 1;
+			}
+		});
+
+		return counts;
+	}
+
+	/**
+	 * Find a device on one of the Brains in the pool. Like {@link BrainClient#getDevice}, this waits for the Brain to be authorized.
+	 *
+	 * @param {string} brainId ID of the Brain
+	 * @param {string} nameOrId Name or ID of the device
+	 * @returns {BrainDevice|null} The device, or `null` if the Brain is not in the pool or has no such device
+	 */
+	async findDevice(brainId, nameOrId) {
+		const client = this.getClient(brainId);
+		if(!client) {
+			return null;
+		}
+
+		return (await client.getDevice(nameOrId)) || null;
+	}
+
+	/**
+	 * Attach an event listener to the pool. If you pass `BrainPool.STATE_CHANGED` as the event name,
+	 * the pool starts watching every device on every connected Brain. See <a href='#statechanges'>Listening for State Changes</a>.
+	 *
+	 * @param {string} event Name of the event to listen to
+	 * @param {function} callback Your callback to call when the event is triggered
+	 */
+	on(event, callback) {
+		const wasWatching = this._isWatching();
+		super.on(event, callback);
+
+		if(event === BrainPool.STATE_CHANGED && !wasWatching) {
+			Object.values(this._brains)
+				.filter(({ client }) => client.getConnectionStatus() === BrainClient.CONNECTION_ACTIVE)
+				.forEach(entry => this._watchDevices(entry));
+		}
+	}
+
+	/**
+	 * Remove an event listener attached with {@link BrainPool#on}. Removing the last `BrainPool.STATE_CHANGED` listener
+	 * stops watching devices.
+	 *
+	 * @param {string} event Name of the event
+	 * @param {function} callback previously-attached callback
+	 */
+	off(event, callback) {
+		super.removeListener(event, callback);
+
+		if(event === BrainPool.STATE_CHANGED && !this._isWatching()) {
+			Object.values(this._brains).forEach(entry => this._unwatchDevices(entry));
+		}
+	}
+
+	_isWatching() {
+		return this.listenerCount(BrainPool.STATE_CHANGED) > 0;
+	}
+
+	async _watchDevices(entry) {
+		const { brainId, client, watched } = entry;
+
+		try {
+			const devices = await client.getDevices();
+			Object.values(devices).forEach(device => {
+				if(watched.has(device)) {
+					return;
+				}
+
+				const listener = state => this.emit(BrainPool.STATE_CHANGED, { brainId, device, state });
+				watched.set(device, listener);
+				device.on(BrainDevice.STATE_CHANGED, listener);
+			});
+		} catch(ex) {
+			Logger.getDefaultLogger().e(BrainPool.LOG_TAG, `Error watching devices on ${brainId}: `, ex);
+		}
+	}
+
+	_unwatchDevices({ watched }) {
+		watched.forEach((listener, device) => device.off(BrainDevice.STATE_CHANGED, listener));
+		watched.clear();
+	}
+}
+
+Object.assign(BrainPool, {
+	/**
+	 * @property {string} STATE_CHANGED - Static class property, event name emitted when a state changes on any device on any Brain in the pool.
+	 * See <a href='#statechanges'>Listening for State Changes</a>.
+	 * @memberof BrainPool
+	 */
+	STATE_CHANGED: "STATE_CHANGED",
+
+	/**
+	 * @property {string} CONNECTION_STATUS_CHANGED - Static class property, event name emitted when the connection status of any Brain in the pool changes.
+	 * The payload looks like `{ brainId, status, counts }`, where `counts` is the same as the return value of {@link BrainPool#getStatusCounts}.
+	 * @memberof BrainPool
+	 */
+	CONNECTION_STATUS_CHANGED: "CONNECTION_STATUS_CHANGED",
+
+	/**
+	 * @property {string} CONNECT_ERROR - Static class property, event name emitted when {@link BrainPool#connect} catches an error connecting to a Brain.
+	 * The payload looks like `{ brainId, error }`.
+	 * @memberof BrainPool
+	 */
+	CONNECT_ERROR: "CONNECT_ERROR",
+
+	// Default for opts.maxConcurrentConnects
+	MAX_CONCURRENT_CONNECTS: 4,
+
+	// Internal prop used for logging
+	LOG_TAG: "BrainPool",
+});
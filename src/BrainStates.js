@@ -0,0 +1,66 @@
+/**
+ * The `BrainClient.BRAIN_STATES` properties list the known states of the Brain itself (as opposed to the state of the
+ * connection to it, see {@link BrainClient.CONNECTION}), as sent by the Brain in `system_state_message`.
+ * To get the current state, see {@link BrainClient#getBrainState}, and listen for `BrainClient.EVENTS.BRAIN_STATE_CHANGED`
+ * to be notified of changes. The Brain may send states not listed here, which are passed along as-is.
+ *
+ * **Example usage:**
+ * ```javascript
+ * bc.on(BrainClient.EVENTS.BRAIN_STATE_CHANGED, ({ state }) => {
+ * 	if(state === BrainClient.BRAIN_STATES.UPGRADING) {
+ * 		showBanner("Upgrading firmware ...");
+ * 	}
+ * });
+ * ```
+ *
+ * @typedef BrainClient.BRAIN_STATES
+ * @property BrainClient.BRAIN_STATES.ACTIVE_ONLINE  Running the space, connected to the cloud
+ * @property BrainClient.BRAIN_STATES.ACTIVE_OFFLINE Running the space, without a connection to the cloud
+ * @property BrainClient.BRAIN_STATES.INITIALIZING   Starting up, like after a restart
+ * @property BrainClient.BRAIN_STATES.ACTIVATING     Activating the space
+ * @property BrainClient.BRAIN_STATES.BRAIN_SYNC     Synchronizing the Brain's settings
+ * @property BrainClient.BRAIN_STATES.SPACE_SYNC     Synchronizing the space, like after publishing it from KC Builder
+ * @property BrainClient.BRAIN_STATES.PARSE_SPACE    Parsing the space after synchronizing it
+ * @property BrainClient.BRAIN_STATES.RESOURCES_SYNC Synchronizing resources (images, drivers, etc) for the space
+ * @property BrainClient.BRAIN_STATES.UPGRADING      Upgrading its firmware
+ * @property BrainClient.BRAIN_STATES.INACTIVE       Not running a space
+ * @property BrainClient.BRAIN_STATES.ERROR          Failed, see the `sysState` from {@link BrainClient#getBrainState} for any details the Brain sent
+ */
+const BRAIN_STATES = {
+	ACTIVE_ONLINE  : 'active_online',
+	ACTIVE_OFFLINE : 'active_offline',
+	INITIALIZING   : 'initializing',
+	ACTIVATING     : 'activating',
+	BRAIN_SYNC     : 'brain_sync',
+	SPACE_SYNC     : 'space_sync',
+	PARSE_SPACE    : 'parse_space',
+	RESOURCES_SYNC : 'resources_sync',
+	UPGRADING      : 'upgrading',
+	INACTIVE       : 'inactive',
+	ERROR          : 'error',
+};
+
+// States where the Brain is running the space, the client goes CONNECTION_ACTIVE
+export const ACTIVE_BRAIN_STATES = [
+	BRAIN_STATES.ACTIVE_ONLINE,
+	BRAIN_STATES.ACTIVE_OFFLINE,
+];
+
+// States where the Brain is busy, the client goes CONNECTION_SYNCHRONIZING
+export const SYNC_BRAIN_STATES = [
+	BRAIN_STATES.BRAIN_SYNC,
+	BRAIN_STATES.SPACE_SYNC,
+	BRAIN_STATES.PARSE_SPACE,
+	BRAIN_STATES.UPGRADING,
+	BRAIN_STATES.RESOURCES_SYNC,
+	BRAIN_STATES.ACTIVATING,
+	BRAIN_STATES.INITIALIZING,
+];
+
+// States where the Brain can't be used, the client goes CONNECTION_FAILURE
+export const FAILED_BRAIN_STATES = [
+	BRAIN_STATES.INACTIVE,
+	BRAIN_STATES.ERROR,
+];
+
+export default BRAIN_STATES;
@@ -15,20 +15,32 @@
  * @typedef BrainClient.EVENTS 
  * @property BrainClient.EVENTS.WS_CONNECTED    {string} Emitted when the Brain's WebSocket connects
  * @property BrainClient.EVENTS.WS_CLOSED       {string} Emitted when the Brain's WebSocket is closed
- * @property BrainClient.EVENTS.RECONNECTING    {string} Emitted when reconnecting timer is started, indicating the client will soon attempt to automatically reconnect
- * @property BrainClient.EVENTS.PIN_REQUIRED    {string} Emitted when the {@link BrainClient} is informed by the Brain that a PIN is required. The {@link BrainClient} will have already tried the default "empty" PIN (`""`) when this event is emitted. Use {@link BrainClient#submitPin} to submit the PIN to the Brain. You can then `await` {@link BrainClient#isAuthorized} (or listen for the `AUTHORIZED` event). An alternative to listening for the `PIN_REQUIRED` event is to `await` {@link BrainClient#isLoginNeeded} and then call {@link BrainClient#submitPin} if `isLoginNeeded` resolves to `true`.
+ * @property BrainClient.EVENTS.RECONNECTING    {string} Emitted when reconnecting timer is started, indicating the client will soon attempt to automatically reconnect. The payload is an object like `{ attempt: 1, delay: 1000 }`, where `attempt` is the 1-based number of this reconnect attempt and `delay` is the number of milliseconds the client will wait before trying. See the `reconnect*` options on the {@link BrainClient} constructor to configure the delay.
+ * @property BrainClient.EVENTS.RECONNECT_FAILED {string} Emitted when the client gives up reconnecting because the reconnect policy said to stop (for example, after `reconnectMaxAttempts` attempts). The payload is an object like `{ attempts: 10 }`. The connection status will be `CONNECTION_FAILURE` when this is emitted. Call {@link BrainClient#connectToBrain} to try again.
+ * @property BrainClient.EVENTS.HEARTBEAT       {string} Emitted when the Brain replies to a heartbeat request. The payload is an object like `{ latency: 12 }` with the round-trip time in milliseconds. See the `heartbeatInterval` option on the {@link BrainClient} constructor.
+ * @property BrainClient.EVENTS.HEARTBEAT_MISSED {string} Emitted when the Brain did not reply to a heartbeat request in time. The payload is an object like `{ misses: 1, maxMisses: 2 }`. Once `misses` reaches `maxMisses`, the connection is considered stale and the client automatically reconnects.
+ * @property BrainClient.EVENTS.WATCHDOG_TRIPPED {string} Emitted when the watchdog (see the `watchdog` option on the {@link BrainClient} constructor) has not received any state changes from the System Device in time. The payload is an object like `{ action: "restart", deadmanTime: 15000 }`, where `action` is the recovery action being taken (one of {@link BrainClient.WATCHDOG_ACTIONS}). Emitted again every `deadmanTime` milliseconds until state changes flow again.
+ * @property BrainClient.EVENTS.WATCHDOG_RECOVERED {string} Emitted when state changes are received again after `WATCHDOG_TRIPPED`. The payload is an object like `{ action: "restart", downtime: 16500 }`, where `downtime` is the time in milliseconds since the last state change before the watchdog tripped.
+ * @property BrainClient.EVENTS.PIN_REQUIRED    {string} Emitted when the {@link BrainClient} is informed by the Brain that a PIN is required. The {@link BrainClient} will have already tried the default "empty" PIN (`""`) when this event is emitted. Use {@link BrainClient#submitPin} to submit the PIN to the Brain. You can then `await` {@link BrainClient#isAuthorized} (or listen for the `AUTHORIZED` event). An alternative to listening for the `PIN_REQUIRED` event is to `await` {@link BrainClient#isLoginNeeded} and then call {@link BrainClient#submitPin} if `isLoginNeeded` resolves to `true`. The payload is an object like `{ failed: true, reason: "Invalid PIN" }`: `failed` is `true` if this follows a PIN (or token) that was submitted and rejected, and `false` if only the default empty PIN was rejected, with `reason` giving the reason for the rejection (`null` if not `failed`).
  * @property BrainClient.EVENTS.EXPRESS_MODE    {string} Emitted when the client receives the response from the Brain indicating if express mode is enabled or not. The payload provided an object with a single boolean key, `enabled`. A value of `true` for `enabled` indicates that express mode IS enabled, and `false`, of course, indicating that express mode is disabled on the provisioned space.
  * @property BrainClient.EVENTS.AUTHORIZED      {string} Emitted when {@link BrainClient} is completely authorized and ready to be used.
  * @property BrainClient.EVENTS.CONNECTION_STATUS_CHANGED {string} Emitted when the Brain's connection status changed. The current connection state will be included in the event payload as an object with a single key `status`, like: `{ status: "" }`. The current connection status can retrieved from the client via {@link BrainClient#getConnectionStatus}. See {@link BrainClient.CONNECTION} for documentation on the connection states possible - these are the values that will be used for the `status` field of the event payload mentioned previously.
  * @property BrainClient.EVENTS.HANDSET_MESSAGE  {string} Emitted when any of the `handset_*` events are received from the Brain, for example, in response to {@link BrainClient#queryHandsets} or {@link BrainClient#getHandsetLayout}.
  * @property BrainClient.EVENTS.BRAIN_EVENT     {string} Emitted when an event is received by the brain that is NOT handled internally by the {@link BrainClient}. This is ONLY emitted for events NOT covered elsewhere in this list.
  * @property BrainClient.EVENTS.WS_MESSAGE      {string} Emitted when a new WebSocket message is received from the brain with the contents of the message as the payload. Note that this event is emitted for EVERY WebSocket message containing the raw message, making this a good generic event if you want to handle ALL interaction with the brain directly.
+ * @property BrainClient.EVENTS.BRAIN_STATE_CHANGED {string} Emitted when the state of the Brain itself changes, like when it starts upgrading or synchronizing a space, or goes from online to offline operation. The payload is the same object returned by {@link BrainClient#getBrainState}, like `{ state: "upgrading", previousState: "active_online", changedAt: 1571234567890, updatedAt: 1571234567890, sysState: { ... } }`. See {@link BrainClient.BRAIN_STATES} for known states.
  * @property BrainClient.EVENTS.STATUS_MESSAGE  {string} Emitted when a new status message is received from the Brain
  * @property BrainClient.EVENTS.COLOR_MESSAGE   {string} Emitted when a Brain color message is received
  */
 export default {
 	WS_CONNECTED    : 'WS_CONNECTED',
 	WS_CLOSED       : 'WS_CLOSED',
+	RECONNECTING    : 'RECONNECTING',
+	RECONNECT_FAILED: 'RECONNECT_FAILED',
+	HEARTBEAT       : 'HEARTBEAT',
+	HEARTBEAT_MISSED: 'HEARTBEAT_MISSED',
+	WATCHDOG_TRIPPED: 'WATCHDOG_TRIPPED',
+	WATCHDOG_RECOVERED: 'WATCHDOG_RECOVERED',
 	BRAIN_EVENT     : 'BRAIN_EVENT',
 	EXPRESS_MODE    : 'EXPRESS_MODE',
 	PIN_REQUIRED    : 'PIN_REQUIRED',
@@ -38,4 +50,5 @@ export default {
 	COLOR_MESSAGE   : 'COLOR_MESSAGE',
 	HANDSET_MESSAGE : 'HANDSET_MESSAGE',
 	CONNECTION_STATUS_CHANGED : 'CONNECTION_STATUS_CHANGED',
+	BRAIN_STATE_CHANGED : 'BRAIN_STATE_CHANGED',
 }
\ No newline at end of file
@@ -13,7 +13,7 @@
  * @property BrainClient.CONNECTION_CONNECTING    1. Client starts in this state and goes to this state when it's reconnecting
  * @property BrainClient.CONNECTION_FAILURE       2. Client encountered a failure in communication, either on initial connection or lost connection to the Brain
  * @property BrainClient.CONNECTION_DISCONNECTED  3. Client has become disconnected from the Brain, either via {@link BrainClient#disconnect} or due to network issues
- * @property BrainClient.CONNECTION_RECONNECTING  4. Client has become disconnected and now is waiting to try to reconnect. The time the client waits to reconnect can be set by passing the `reconnectWaitTime` option to the {@link BrainClient}'s constructor
+ * @property BrainClient.CONNECTION_RECONNECTING  4. Client has become disconnected and now is waiting to try to reconnect. The time the client waits to reconnect can be set by passing the `reconnectWaitTime` (and related `reconnect*`) options to the {@link BrainClient}'s constructor. If the client gives up reconnecting, it will go to `CONNECTION_FAILURE`
  * @property BrainClient.CONNECTION_AUTHORIZING   5. Client has connected to the Brain and is attempting to authorize the connection. **NOTE**: The client will attempt to authorize using an empty passcode first, and that may succeeed. If that succeeds, the client will go to `BrainClient.CONNECTION_ACTIVE`. However, if an empty passcode does not succeed, the client will transition to `CONNECTION_UNAUTHORIZED` and the client will emit the event `BrainClient.EVENTS.PIN_REQUIRED`. In that case, you will need to supply the passcode to the client to use using {@link BrainClient#submitPin}. Once it succeeds, the client will transition to `CONNECTION_ACTIVE`. If the pin submitted fails, the `BrainClient.EVENTS.PIN_REQUIRED` event will be emitted again, but the connection status will not change.
  * @property BrainClient.CONNECTION_UNAUTHORIZED  6. If the client's default empty passcode attempt fails or if the PIN you submit via `submitPin()` fails, the client will transition to `CONNECTION_UNAUTHORIZED` until something else happens.
  * @property BrainClient.CONNECTION_ACTIVE        7. Once the client is online, authorized, and ready to use, it will transition to this state.
@@ -0,0 +1,175 @@
+import Logger from './utils/Logger';
+import genId from './utils/gen-id';
+import BrainDevice, { ErrorInvalidCommand } from './BrainDevice';
+
+/**
+ * Error thrown by {@link MacroBuilder#send} when a step uses a device name or ID that does not match any device on the Brain
+ * @class MacroBuilder.ErrorInvalidDevice
+ */
+class ErrorInvalidDevice extends Error {}
+
+/**
+ * Builds a macro of commands and custom state changes, across any number of devices, and sends it to the Brain
+ * as a single `send_macro_message`. See {@link BrainClient#macro} to create one.
+ *
+ * Every step is checked against the device's commands and states before anything is sent, so a typo in one step
+ * throws without running the other steps. Nothing is sent until {@link MacroBuilder#send} is called, which sends the macro
+ * and waits for the Brain to report the states changed by its commands, like {@link BrainDevice#sendCommand} does.
+ *
+ * **Example usage:**
+ * ```javascript
+ * const results = await bc.macro()
+ * 	.command('Projector', 'SET_POWER', { POWER: 'ON' })
+ * 	.command('Projector', 'SET_INPUT', { INPUT: 'HDMI2' })
+ * 	.command(lights, 'SET_LEVEL', { LEVEL: 30 })
+ * 	.setCustomState('ROOM_MODE', 'presentation')
+ * 	.send();
+ *
+ * // results is like { [projectorId]: { POWER_STATE: 'ON', INPUT_STATE: 'HDMI2' }, [lightsId]: { LEVEL_STATE: '30' }, ... }
+ * ```
+ *
+ * *NOTE:* You should never call the constructor directly, use {@link BrainClient#macro} instead.
+ * This class is accessible as `BrainClient.MacroBuilder` if you need it for typechecking, etc.
+ */
+export default class MacroBuilder {
+
+	// [internal] NOTE: You should never call the constructor directly, see BrainClient#macro
+	constructor(brainClient) {
+		this._client = brainClient;
+		this._steps  = [];
+		this._sent   = null;
+	}
+
+	/**
+	 * Add a command to the macro, see {@link BrainDevice#sendCommand}
+	 *
+	 * @param {BrainDevice|string} device Device, or name or ID of the device
+	 * @param {string|object} key Command ID, command Name, or command object
+	 * @param {object} params Key/value object of params for the command
+	 * @param {object} opts Optional options
+	 * @param {boolean} opts.validate Set to `false` to send the params without checking them against the driver (defaults to `true`)
+	 * @param {number} opts.timeout Milliseconds to wait for the current values of states bound to params not given (defaults to the `timeout` given to {@link MacroBuilder#send})
+	 * @returns {MacroBuilder} This builder, for chaining
+	 */
+	command(device, key, params={}, { validate = true, timeout } = {}) {
+		return this._addStep({ type: 'command', device, key, params, validate, timeout });
+	}
+
+	/**
+	 * Add a custom state change on the System Device to the macro, see {@link BrainDevice#setCustomState}
+	 *
+	 * @param {string|object} key State ID, state Name, or state object of the custom state
+	 * @param {any} value Any valid value
+	 * @returns {MacroBuilder} This builder, for chaining
+	 */
+	setCustomState(key, value) {
+		return this._addStep({ type: 'state_change', device: null, key, value });
+	}
+
+	/**
+	 * Check every step, send the macro and wait for the states changed by its commands. Calling this more than once
+	 * returns the same promise, the macro is only sent once.
+	 *
+	 * @param {object} opts Optional options
+	 * @param {number} opts.timeout Milliseconds to wait for the current values of states bound to params not given, and for the Brain to send the states changed by the macro (defaults to `BrainDevice.COMMAND_TIMEOUT`). Set to `0` to wait forever.
+	 * @returns {Promise<object>} Values of the states changed by the macro, by device ID then state ID
+	 * @throws {MacroBuilder.ErrorInvalidDevice} If a step uses a device that doesn't exist
+	 * @throws {BrainDevice.ErrorInvalidCommand} If a step uses a command the device doesn't define
+	 * @throws {BrainDevice.ErrorInvalidParameter} If the params of a step don't match the params of the command, see {@link BrainDevice#sendCommand}
+	 * @throws {BrainDevice.ErrorInvalidState} If a step sets a state that isn't a custom state
+	 * @throws {BrainClient.ErrorMessageExpired} If called while disconnected and the client did not reconnect in time to send the macro
+	 */
+	send({ timeout = BrainDevice.COMMAND_TIMEOUT } = {}) {
+		if(!this._sent) {
+			this._sent = this._send(timeout);
+		}
+
+		return this._sent;
+	}
+
+	_addStep(step) {
+		if(this._sent) {
+			throw new Error("Macro already sent, create a new one with BrainClient#macro");
+		}
+
+		this._steps.push(step);
+		return this;
+	}
+
+	async _send(timeout) {
+		// Check every step before sending anything
+		const steps = await Promise.all(this._steps.map(step => this._resolveStep(step, timeout)));
+
+		const actions = steps.map(({ action }) => action);
+
+		// States to wait for, by device ID
+		const waits = {};
+		steps.forEach(({ device, states }) => {
+			const wait = waits[device.id] || (waits[device.id] = { device, states: {} });
+			Object.assign(wait.states, states);
+		});
+
+		Logger.getDefaultLogger().d(MacroBuilder.LOG_TAG, `Sending macro with ${actions.length} action(s)`);
+
+		// send the macro, possibly queued until reconnected
+		const sent = this._client.wrapApiCall('send-macro', {
+			id:   genId(),
+			type: 'send_macro_message',
+			actions,
+		});
+
+		// wait for next update from brain for every device, or for the queued macro to be dropped
+		const [ , ...results ] = await Promise.all([ sent ].concat(
+			Object.values(waits).map(({ device, states }) => device._stateResults(states, timeout))
+		));
+
+		const byDevice = {};
+		Object.keys(waits).forEach((id, idx) => byDevice[id] = results[idx]);
+		return byDevice;
+	}
+
+	async _resolveStep({ type, device: deviceKey, key, params, validate, timeout: stepTimeout, value }, timeout) {
+		const device = await this._device(deviceKey);
+
+		if(type === 'command') {
+			const command = key.id ? key : await device.getCommand(key);
+			if(!command) {
+				throw new ErrorInvalidCommand("Invalid command key " + key + " for device " + device.name + " - does not match any known command Name or ID");
+			}
+
+			if(validate) {
+				device._validateParams(command, params);
+			}
+
+			await device._ensureDynamicValues(command, params, stepTimeout !== undefined ? stepTimeout : timeout);
+
+			return { device, action: device._commandAction(command, params), states: command.states };
+		}
+
+		const state = device._customState(key);
+		return { device, action: device._customStateAction(state, value), states: { [state.id]: state } };
+	}
+
+	async _device(device) {
+		if(device && typeof(device) === 'object') {
+			return device;
+		}
+
+		const found = device === null ?
+			await this._client.getSystemDevice() :
+			await this._client.getDevice(device);
+
+		if(!found) {
+			throw new ErrorInvalidDevice("Invalid device " + (device === null ? "(System Device)" : device) + " - does not match any known device Name or ID");
+		}
+
+		return found;
+	}
+}
+
+Object.assign(MacroBuilder, {
+	ErrorInvalidDevice,
+
+	// Internal prop used for logging
+	LOG_TAG: "MacroBuilder",
+});
@@ -0,0 +1,470 @@
+import EventEmitter from 'events';
+import Logger from './utils/Logger';
+import genId from './utils/gen-id';
+import { SOCKET_PATH, API_PATH } from './utils/brain-urls';
+import SYSTEM_DRIVER_ID from './utils/system-driver-id';
+import DEFAULT_FIXTURE from './utils/mock-brain-fixture';
+
+/**
+ * A fake Brain for Node, for developing and testing without Brain hardware. Serves the `/web-client` WebSocket
+ * and the `/api/v1/` REST routes that {@link BrainClient} uses, so you can point any client at it:
+ *
+ * ```javascript
+ * const { BrainClient } = require('@kramerav/brain-client');
+ * const { MockBrainServer } = require('@kramerav/brain-client/mock');
+ *
+ * const mock = new MockBrainServer({ fixture: './my-space.json' });
+ * await mock.listen(8000);
+ *
+ * const bc = new BrainClient();
+ * await bc.connectToBrain(mock.address);
+ * ```
+ *
+ * The mock implements:
+ * * `get_brain_stat_message` (echoing `request_id`, like heartbeats send)/`get_express_mode_flag_msg` and PIN (`passcode_auth_msg`) or token (`jwt_auth_message`) auth
+ * * `ws_message_wrapper` requests for `general`, `devices`, `device-drivers/<id>`, `send-macro`, `watch-states`, `space/query-handsets`, `layout/<id>` and `set-handset`, echoing `request_id`
+ * * State changes for watched devices, including custom states on the System Device and a `SECOND_STATE` tick every second
+ * * `POST /api/v1/restart`, which takes the Brain through `initializing` back to `active_online`
+ * * `GET /api/v1/general`, so the mock can be found with {@link BrainDiscovery}
+ *
+ * **<h3>Fixtures</h3><a name='fixtures'></a>**
+ * The Brain is described by a fixture - an object (or the path of a JSON file) like this:
+ * ```javascript
+ * {
+ * 	// Returned by the `general` route and in brain_status_message
+ * 	"brain": { "brain_id": "...", "space_name": "...", "brain_provisioned": true, ... },
+ * 	"expressMode": true,   // false to refuse connections like a Brain with Express Mode disabled
+ * 	"pin": "",             // PIN required to authorize, "" for no PIN
+ * 	"authToken": null,     // Token accepted by jwt_auth_message, in addition to tokens issued by the mock
+ * 	"devices": [{
+ * 		// Same fields as the Brain's `devices` route...
+ * 		"id": "...", "name": "...", "device_driver_id": "...", "device_driver_version": 1, "custom_states": [ ... ],
+ * 		// ...plus the initial value of each state, by state ID
+ * 		"states": { "POWER_STATE": "OFF" }
+ * 	}],
+ * 	// Drivers by driver ID, same shape as the Brain's `device-drivers/<id>` route
+ * 	"drivers": { "<driver id>": { "categories": [ ... ] } },
+ * 	// Handsets, with the layout returned by the `layout/<id>` route
+ * 	"handsets": [{ "id": "...", "name": "...", "type": "...", "layout": { ... } }]
+ * }
+ * ```
+ * Fields not given are taken from the default fixture, a provisioned Brain with no PIN, a System Device with one
+ * custom state (`CUSTOM_STATE_1`) and `SET_SYSTEM_USE`/`SYSTEM_STATE`, a `Projector` with `SET_POWER`/`POWER_STATE` and a `Power On` macro, and a handset (`Mock Handset`) with a one-button layout.
+ *
+ * Commands set the states referenced by the command's codes (`state_references`) to the value of the static
+ * or dynamic parameter with the same name, and custom state changes set the custom state to the `New_Value` parameter.
+ *
+ * @property {object} fixture The fixture in use, after merging with the defaults
+ */
+export default class MockBrainServer extends EventEmitter {
+	/**
+	 * Create a new mock Brain. Call {@link MockBrainServer#listen} to start serving.
+	 *
+	 * @param {object} opts Options, all optional
+	 * @param {object|string} opts.fixture Fixture object, or path of a JSON file containing the fixture. See <a href='#fixtures'>Fixtures</a>.
+	 * @param {number} opts.tickInterval Milliseconds between `SECOND_STATE` ticks on the System Device (defaults to `1000`). Set to `0` to disable.
+	 * @param {number} opts.restartTime Milliseconds the Brain spends `initializing` after `POST /api/v1/restart` (defaults to `500`)
+	 */
+	constructor(opts={}) {
+		super();
+
+		this.opts = Object.assign({
+			tickInterval: MockBrainServer.TICK_INTERVAL,
+			restartTime:  MockBrainServer.RESTART_TIME,
+		}, opts || {});
+
+		const fixture = typeof(this.opts.fixture) === 'string' ?
+			JSON.parse(require('fs').readFileSync(this.opts.fixture, 'utf8')) :
+			(this.opts.fixture || {});
+
+		this.fixture = { ...DEFAULT_FIXTURE, ...fixture };
+
+		// Copied so setLayout() doesn't change the default fixture for other mocks
+		this.fixture.handsets = (this.fixture.handsets || []).map(handset => ({ ...handset }));
+
+		// Current state values by device ID => state ID
+		this._states = {};
+		this.fixture.devices.forEach(({ id, states }) => this._states[id] = { ...(states || {}) });
+
+		// Tokens issued by passcode_auth_msg, accepted by jwt_auth_message
+		this._tokens = new Set(this.fixture.authToken ? [ this.fixture.authToken ] : []);
+
+		this._sessions = new Set();
+	}
+
+	/**
+	 * Address of the mock, like `127.0.0.1:8000`, to pass to {@link BrainClient#connectToBrain}. Only valid after {@link MockBrainServer#listen} resolves.
+	 * @type {string}
+	 */
+	get address() {
+		const { address, port } = this._http.address();
+		return `${address === '::' || address === '0.0.0.0' ? '127.0.0.1' : address}:${port}`;
+	}
+
+	/**
+	 * Start serving. Required dynamically, so only Node needs `http` and `ws`.
+	 *
+	 * @param {number} port Port to listen on, `0` to pick a free port (see {@link MockBrainServer#address})
+	 * @param {string} host Host to listen on (defaults to `127.0.0.1`)
+	 * @returns {MockBrainServer} This server, once listening
+	 */
+	listen(port=0, host='127.0.0.1') {
+		const http = require('http');
+		const WebSocket = require('ws');
+
+		this._http = http.createServer((req, res) => this._httpRequest(req, res));
+		this._wss  = new WebSocket.Server({ server: this._http, path: SOCKET_PATH });
+		this._wss.on('connection', socket => this._connected(socket));
+
+		if(this.opts.tickInterval) {
+			this._tickTimer = setInterval(() => this._tick(), this.opts.tickInterval);
+		}
+
+		return new Promise((resolve, reject) => {
+			this._http.once('error', reject);
+			this._http.listen(port, host, () => resolve(this));
+		});
+	}
+
+	/**
+	 * Stop serving and disconnect all clients
+	 */
+	close() {
+		clearInterval(this._tickTimer);
+		clearTimeout(this._restartTimer);
+
+		this._sessions.forEach(({ socket }) => socket.terminate());
+		this._sessions.clear();
+
+		return new Promise(resolve => {
+			this._wss.close(() => this._http.close(() => resolve()));
+		});
+	}
+
+	/**
+	 * Get the current value of a state
+	 * @param {string} deviceId ID of the device
+	 * @param {string} stateId ID of the state
+	 * @returns {any} Current value
+	 */
+	getState(deviceId, stateId) {
+		return (this._states[deviceId] || {})[stateId];
+	}
+
+	/**
+	 * Change a state as if the device changed it, sending a `state_change_message` to every client watching the device
+	 * @param {string} deviceId ID of the device
+	 * @param {string} stateId ID of the state
+	 * @param {any} value New value
+	 */
+	setState(deviceId, stateId, value) {
+		if(!this._states[deviceId]) {
+			throw new Error(`Unknown device ${deviceId}`);
+		}
+
+		this._states[deviceId][stateId] = value;
+		this._broadcastStates(deviceId, [ stateId ]);
+	}
+
+	/**
+	 * Simulate a restart like `POST /api/v1/restart`: connected clients are told the Brain is `initializing`,
+	 * then `active_online` again after `opts.restartTime` milliseconds
+	 */
+	restart() {
+		this._setBrainState('initializing');
+
+		clearTimeout(this._restartTimer);
+		this._restartTimer = setTimeout(() => this._setBrainState('active_online'), this.opts.restartTime);
+	}
+
+	/**
+	 * Change the layout of a handset, sending it to clients watching the handset (see {@link BrainHandset#watch})
+	 * @param {string} handsetId ID of the handset
+	 * @param {object} layout New layout
+	 */
+	setLayout(handsetId, layout) {
+		const handset = this._handset(handsetId);
+		if(!handset) {
+			throw new Error(`Unknown handset ${handsetId}`);
+		}
+
+		handset.layout = layout;
+		this._sessions
+			.forEach(session => session.handsets.has(handsetId) && this._send(session, this._layoutMessage(handset)));
+	}
+
+	_handset(handsetId) {
+		return (this.fixture.handsets || []).find(({ id }) => id === handsetId);
+	}
+
+	_layoutMessage({ id, layout }) {
+		return { type: 'handset_layout_message', handset_id: id, layout };
+	}
+
+	_setBrainState(state) {
+		// Copied so the default fixture isn't changed for other mocks
+		this.fixture.brain = { ...this.fixture.brain, brain_state: state };
+
+		this._sessions.forEach(session => this._send(session, {
+			type:      'system_state_message',
+			sys_state: { state },
+		}));
+	}
+
+	_httpRequest(req, res) {
+		const path = req.url.split('?')[0];
+		const reply = (status, body) => {
+			res.writeHead(status, { 'Content-Type': 'application/json' });
+			res.end(JSON.stringify(body));
+		};
+
+		if(req.method === 'GET' && path === API_PATH + 'general') {
+			reply(200, this.fixture.brain);
+		} else
+		if(req.method === 'POST' && path === API_PATH + 'restart') {
+			reply(200, {});
+			this.restart();
+		} else {
+			reply(404, { error: `Not found: ${req.method} ${path}` });
+		}
+	}
+
+	_connected(socket) {
+		const session = { socket, authorized: false, watched: new Set(), handsets: new Set() };
+		this._sessions.add(session);
+
+		socket.on('message', frame => {
+			let msg;
+			try {
+				msg = JSON.parse(frame);
+			} catch(ex) {
+				Logger.getDefaultLogger().w(MockBrainServer.LOG_TAG, 'Ignoring invalid JSON: ' + frame);
+				return;
+			}
+
+			this.emit(MockBrainServer.MESSAGE, msg);
+			this._received(session, msg);
+		});
+
+		socket.on('close', () => this._sessions.delete(session));
+	}
+
+	_send(session, msg) {
+		if(session.socket.readyState === 1 /* OPEN */) {
+			session.socket.send(JSON.stringify(msg));
+		}
+	}
+
+	_received(session, msg) {
+		const { brain, expressMode, pin } = this.fixture;
+
+		switch(msg.type) {
+			case 'get_brain_stat_message':
+				this._send(session, msg.request_id ?
+					{ ...brain, type: 'brain_status_message', request_id: msg.request_id } :
+					{ ...brain, type: 'brain_status_message' });
+				break;
+
+			case 'get_express_mode_flag_msg':
+				this._send(session, { type: 'express_mode_flag_msg', express_mode_enabled: !!expressMode });
+				break;
+
+			case 'passcode_auth_msg':
+				this._authorize(session, expressMode && (msg.token || '') === (pin || ''));
+				break;
+
+			case 'jwt_auth_message':
+				this._authorize(session, this._tokens.has(msg.token));
+				break;
+
+			case 'ws_message_wrapper':
+				if(!session.authorized) {
+					this._send(session, { type: 'unauthorized_message' });
+					break;
+				}
+				this._apiCall(session, msg);
+				break;
+
+			default:
+				Logger.getDefaultLogger().d(MockBrainServer.LOG_TAG, 'Ignoring message type ' + msg.type);
+				break;
+		}
+	}
+
+	_authorize(session, ok) {
+		// Like the Brain, a session stays authorized once authorized, even if
+		// the client re-submits a PIN later (e.g. after a brain_status_message)
+		session.authorized = session.authorized || !!ok;
+		if(!ok) {
+			this._send(session, { type: 'unauthorized_message' });
+			return;
+		}
+
+		const token = genId();
+		this._tokens.add(token);
+		this._send(session, {
+			type:       'authorized_message',
+			brain_id:   this.fixture.brain.brain_id,
+			session_id: genId(),
+			token,
+		});
+	}
+
+	_apiCall(session, { path, body, request_id }) {
+		const route = path.replace(API_PATH, '').split('?')[0];
+		const reply = data => this._send(session, request_id ? { ...data, request_id } : data);
+
+		if(route === 'general') {
+			reply({ ...this.fixture.brain, type: 'brain_status_message' });
+		} else
+		if(route === 'devices') {
+			// Initial state values are part of the fixture, not the Brain's device list
+			reply({ devices: this.fixture.devices.map(({ states, ...device }) => device) });
+		} else
+		if(route.startsWith('device-drivers/')) {
+			const driver = this.fixture.drivers[route.replace('device-drivers/', '')];
+			reply(driver || { error: 'Driver not found' });
+		} else
+		if(route === 'send-macro') {
+			((body && body.actions) || []).forEach(action => this._runAction(action));
+			reply({ status: 'success' });
+		} else
+		if(route === 'watch-states') {
+			const { device_id, watch } = body || {};
+			if(watch) {
+				session.watched.add(device_id);
+				// Like the Brain, send every current value on watch
+				this._sendStates(session, device_id, Object.keys(this._states[device_id] || {}));
+			} else {
+				session.watched.delete(device_id);
+			}
+			reply({ status: 'success' });
+		} else
+		if(route === 'space/query-handsets') {
+			reply({
+				type:     'handset_list_message',
+				handsets: (this.fixture.handsets || []).map(({ layout, ...handset }) => handset),
+			});
+		} else
+		if(route.startsWith('layout/')) {
+			const handset = this._handset(route.replace('layout/', ''));
+			reply(handset ? this._layoutMessage(handset) : { type: 'handset_error_message', error: 'Handset not found' });
+		} else
+		if(route === 'set-handset') {
+			const { handset_id, watch } = body || {};
+			if(watch) {
+				session.handsets.add(handset_id);
+			} else {
+				session.handsets.delete(handset_id);
+			}
+			reply({ status: 'success' });
+		} else {
+			reply({ status: 'success' });
+		}
+	}
+
+	_runAction({ type, device_id, state_id, command_id, static_parameters, dynamic_parameters }) {
+		const params = {};
+		// Values of static params and of dynamic params (bound to a state)
+		(static_parameters || []).forEach(({ name, value }) => params[name] = value);
+		(dynamic_parameters || []).forEach(({ name, value }) => value !== undefined && (params[name] = value));
+
+		if(!this._states[device_id]) {
+			Logger.getDefaultLogger().w(MockBrainServer.LOG_TAG, `Unknown device ${device_id}`);
+			return;
+		}
+
+		if(type === 'state_change') {
+			this.setState(device_id, state_id, params.New_Value);
+			return;
+		}
+
+		if(type !== 'command') {
+			return;
+		}
+
+		const device = this.fixture.devices.find(({ id }) => id === device_id);
+		const command = this._findCommand(device.device_driver_id, command_id);
+		if(!command) {
+			Logger.getDefaultLogger().w(MockBrainServer.LOG_TAG, `Unknown command ${command_id} for device ${device_id}`);
+			return;
+		}
+
+		// Set each referenced state from the param of the same name, or just
+		// report the current value (like a query) if there is no such param
+		const stateIds = [];
+		command.codes.forEach(({ state_references }) => {
+			(state_references || []).forEach(({ name, state_id }) => {
+				if(params[name] !== undefined) {
+					this._states[device_id][state_id] = params[name];
+				}
+				stateIds.push(state_id);
+			});
+		});
+
+		this._broadcastStates(device_id, stateIds);
+	}
+
+	_findCommand(driverId, commandId) {
+		const { categories } = this.fixture.drivers[driverId] || {};
+
+		let found = null;
+		(categories || []).forEach(({ capabilities }) => {
+			(capabilities || []).forEach(({ commands }) => {
+				found = found || (commands || []).find(({ reference_id }) => reference_id === commandId);
+			});
+		});
+		return found;
+	}
+
+	_tick() {
+		const sys = this.fixture.devices.find(({ device_driver_id }) => device_driver_id === SYSTEM_DRIVER_ID);
+		if(sys) {
+			this.setState(sys.id, 'SECOND_STATE', new Date().getSeconds());
+		}
+	}
+
+	_broadcastStates(deviceId, stateIds) {
+		this._sessions.forEach(session => {
+			if(session.watched.has(deviceId)) {
+				this._sendStates(session, deviceId, stateIds);
+			}
+		});
+	}
+
+	_sendStates(session, deviceId, stateIds) {
+		const values = this._states[deviceId] || {};
+
+		this._send(session, {
+			type:          'state_change_message',
+			device_id:     deviceId,
+			state_changes: stateIds.map(stateId => ({
+				device_id:              deviceId,
+				state_id:               stateId,
+				state_key:              '',
+				state_name:             stateId,
+				state_value:            values[stateId] + '',
+				state_normalized_value: values[stateId] + '',
+			})),
+		});
+	}
+}
+
+Object.assign(MockBrainServer, {
+	/**
+	 * @property {string} MESSAGE - Static class property, event name emitted with every message received from any client, after parsing the JSON
+	 * @memberof MockBrainServer
+	 */
+	MESSAGE: "MESSAGE",
+
+	// Default for opts.tickInterval
+	TICK_INTERVAL: 1000,
+
+	// Default for opts.restartTime
+	RESTART_TIME: 500,
+
+	DEFAULT_FIXTURE,
+
+	// Internal prop used for logging
+	LOG_TAG: "MockBrainServer",
+});
@@ -1,6 +1,8 @@
 
 import BrainClient from './BrainClient';
 import BrainDevice from './BrainDevice';
+import BrainHandset from './BrainHandset';
+import BrainPool from './BrainPool';
 import Logger from './utils/Logger';
 import defer from './utils/defer';
 import ReactHooks from './ReactHooks';
@@ -8,10 +10,14 @@ import ReactHooks from './ReactHooks';
 BrainClient.Logger = Logger;
 BrainClient.defer = defer;
 BrainClient.BrainDevice = BrainDevice;
+BrainClient.BrainHandset = BrainHandset;
+BrainClient.BrainPool = BrainPool;
 
 export {
 	BrainClient,
 	BrainDevice,
+	BrainHandset,
+	BrainPool,
 	ReactHooks,
 	Logger
 };
@@ -1,6 +1,9 @@
 
 import BrainClient from './BrainClient';
 import BrainDevice from './BrainDevice';
+import BrainHandset from './BrainHandset';
+import BrainDiscovery from './BrainDiscovery';
+import BrainPool from './BrainPool';
 import Logger from './utils/Logger';
 import defer from './utils/defer';
 import ReactHooks from './ReactHooks';
@@ -8,10 +11,16 @@ import ReactHooks from './ReactHooks';
 BrainClient.Logger = Logger;
 BrainClient.defer = defer;
 BrainClient.BrainDevice = BrainDevice;
+BrainClient.BrainHandset = BrainHandset;
+BrainClient.BrainDiscovery = BrainDiscovery;
+BrainClient.BrainPool = BrainPool;
 
 export {
 	BrainClient,
 	BrainDevice,
+	BrainHandset,
+	BrainDiscovery,
+	BrainPool,
 	ReactHooks,
 	Logger
 };
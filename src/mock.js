@@ -0,0 +1,9 @@
+// Node-only entry point, published as `@kramerav/brain-client/mock` so browser bundles
+// of the main entry don't pull in `http`, `ws` or `fs`: the mock, and helpers using the file system
+import MockBrainServer from './MockBrainServer';
+import FileTokenStorage from './utils/file-token-storage';
+import FileSessionRecorder from './utils/file-session-recorder';
+import DirectoryDriverStorage from './utils/directory-driver-storage';
+
+export { MockBrainServer, FileTokenStorage, FileSessionRecorder, DirectoryDriverStorage };
+export default MockBrainServer;
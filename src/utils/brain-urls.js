@@ -0,0 +1,70 @@
+// Schemes accepted at the start of a Brain address, mapped to whether they are secure (TLS) or not
+export const BRAIN_SCHEMES = {
+	'http':  false,
+	'ws':    false,
+	'https': true,
+	'wss':   true,
+};
+
+// Path the Brain serves the WebSocket on
+export const SOCKET_PATH = '/web-client';
+
+// Path the Brain serves the REST API on
+export const API_PATH = '/api/v1/';
+
+/*
+ * Split a Brain address like `10.0.1.2:8000`, `https://brain.example.com` or `wss://brain.example.com/web-client`
+ * into `{ scheme, host, path }`. `scheme` is `null` if the address does not start with a scheme, and `path` is
+ * `''` if the address has no path.
+ */
+export function splitBrainAddress(address="") {
+	const match = /^(?:([a-z]+):\/\/)?([^/?#]*)(.*)$/i.exec(address.trim());
+	const [ , scheme, host, path ] = match;
+	return {
+		scheme: scheme ? scheme.toLowerCase() : null,
+		host,
+		path: path === '/' ? '' : path,
+	};
+}
+
+/*
+ * Returns `true` if the page using BrainClient was served over HTTPS, in which case browsers will
+ * block plain `ws://`/`http://` connections as mixed content.
+ */
+function isSecurePage() {
+	return typeof window !== 'undefined' && window && window.location &&
+		window.location.protocol === 'https:';
+}
+
+/*
+ * Derive the WebSocket and REST base URLs for a Brain address (already normalized by `BrainClient#_checkPort`).
+ *
+ * A scheme given in the address always wins. If there is no scheme, `secure` decides between `ws://`/`http://`
+ * and `wss://`/`https://`. If `secure` is not a boolean, the URLs are secure only if the page itself was served over HTTPS.
+ *
+ * A `ws://` or `wss://` address is used as the WebSocket URL as-is, as before secure connections were supported,
+ * so include the path (like `ws://10.0.1.2:8000/web-client`) unless your Brain or proxy serves the socket at the root.
+ *
+ * @example
+	brainUrls('10.0.1.2:8000');
+	// { secure: false, socketUrl: 'ws://10.0.1.2:8000/web-client', httpUrl: 'http://10.0.1.2:8000/api/v1/' }
+	brainUrls('https://brain.example.com');
+	// { secure: true, socketUrl: 'wss://brain.example.com/web-client', httpUrl: 'https://brain.example.com/api/v1/' }
+ */
+export default function brainUrls(address, { secure } = {}) {
+	const { scheme, host, path } = splitBrainAddress(address);
+
+	const isSecure = scheme ? BRAIN_SCHEMES[scheme] :
+		typeof(secure) === 'boolean' ? secure :
+		isSecurePage();
+
+	const socketUrl = scheme === 'ws' || scheme === 'wss' ?
+		`${scheme}://${host}${path}` :
+		`${isSecure ? 'wss' : 'ws'}://${host}${SOCKET_PATH}`;
+
+	return {
+		secure: !!isSecure,
+		socketUrl,
+		httpUrl: `${isSecure ? 'https' : 'http'}://${host}${API_PATH}`,
+	};
+}
@@ -0,0 +1,44 @@
+// Smallest prefix accepted by expandCidr, so a typo like `/8` doesn't try to probe 16 million hosts
+export const MIN_CIDR_PREFIX = 16;
+
+function ipToInt(ip) {
+	const parts = String(ip).trim().split('.');
+	if(parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || parseInt(part, 10) > 255)) {
+		throw new Error(`Invalid IPv4 address: ${ip}`);
+	}
+
+	// `>>> 0` keeps the result unsigned
+	return parts.reduce((acc, part) => ((acc << 8) | parseInt(part, 10)) >>> 0, 0);
+}
+
+function intToIp(value) {
+	return [ 24, 16, 8, 0 ].map(shift => (value >>> shift) & 255).join('.');
+}
+
+/*
+ * Expand an IPv4 CIDR range like `10.0.1.0/24` into the list of host addresses in it.
+ * The network and broadcast addresses are skipped for prefixes shorter than `/31`.
+ * A plain address (no `/`) is returned as the only host.
+ *
+ * @example
+	expandCidr('10.0.1.0/30');
+	// [ '10.0.1.1', '10.0.1.2' ]
+ */
+export default function expandCidr(cidr="") {
+	const [ ip, prefixString ] = String(cidr).split('/');
+	const prefix = prefixString === undefined ? 32 : parseInt(prefixString, 10);
+
+	if(isNaN(prefix) || prefix < MIN_CIDR_PREFIX || prefix > 32) {
+		throw new Error(`Invalid or too large CIDR range (prefix must be /${MIN_CIDR_PREFIX} to /32): ${cidr}`);
+	}
+
+	const size    = 2 ** (32 - prefix),
+		network   = (ipToInt(ip) & (~0 << (32 - prefix))) >>> 0,
+		skipEnds  = prefix < 31 ? 1 : 0;
+
+	const hosts = [];
+	for(let i = skipEnds; i < size - skipEnds; i++) {
+		hosts.push(intToIp(network + i));
+	}
+	return hosts;
+}
@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Storage for drivers in a directory, one JSON file per driver, so scripts and services don't download
+ * every driver again after restarting. See {@link BrainClient.DriverCache} for the storage interface.
+ *
+ * Node only, so it's exported by `@kramerav/brain-client/mock` rather than the main entry:
+ * ```javascript
+ * const { DirectoryDriverStorage } = require('@kramerav/brain-client/mock');
+ * const driverCache = new BrainClient.DriverCache({ storage: new DirectoryDriverStorage({ dir: './driver-cache' }) });
+ * ```
+ *
+ * @class DirectoryDriverStorage
+ */
+export default class DirectoryDriverStorage {
+	/**
+	 * @param {object} opts
+	 * @param {string} opts.dir Path of the directory, created if it doesn't exist
+	 */
+	constructor({ dir } = {}) {
+		if(!dir) {
+			throw new Error('DirectoryDriverStorage requires a dir');
+		}
+
+		this.dir = dir;
+	}
+
+	get(driverId) {
+		const file = this._file(driverId);
+		if(!fs.existsSync(file)) {
+			return null;
+		}
+
+		return JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+
+	set(driverId, entry) {
+		fs.mkdirSync(this.dir, { recursive: true });
+		fs.writeFileSync(this._file(driverId), JSON.stringify(entry));
+	}
+
+	delete(driverId) {
+		const file = this._file(driverId);
+		if(fs.existsSync(file)) {
+			fs.unlinkSync(file);
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_file(driverId) {
+		// Driver IDs are UUIDs, but keep anything else from escaping the directory
+		return path.join(this.dir, String(driverId).replace(/[^\w.-]/g, '_') + '.json');
+	}
+}
@@ -0,0 +1,239 @@
+import Logger from './Logger';
+
+/**
+ * Cache of simplified device drivers, shared by every device of a {@link BrainClient} (and of other clients given
+ * the same cache) using the same driver, so a driver is only downloaded from the Brain once per driver ID and version.
+ * Concurrent requests for the same driver share a single download. Failed downloads aren't cached: callers that were
+ * sharing one try once more, sharing a single new download. Only the latest version loaded of each driver ID is kept.
+ *
+ * Drivers are kept in memory, and optionally persisted in a storage so they survive reloads and restarts.
+ * A storage keeps one version per driver ID: loading another version replaces the stored one.
+ * Any object with these methods can be used as a storage. Methods may return a `Promise`:
+ * * `get(driverId)` - Returns the entry stored for `driverId`, like `{ version, driver }`, or `null`/`undefined` if none
+ * * `set(driverId, entry)` - Store `entry` for `driverId`
+ * * `delete(driverId)` - Forget the entry stored for `driverId`
+ *
+ * See {@link BrainClient.LocalStorageDriverStorage}, {@link BrainClient.IndexedDBDriverStorage} and
+ * {@link DirectoryDriverStorage} (Node, from `@kramerav/brain-client/mock`), and the `driverCache` option of {@link BrainClient}.
+ *
+ * **Example usage:**
+ * ```javascript
+ * const driverCache = new BrainClient.DriverCache({
+ * 	storage: new BrainClient.IndexedDBDriverStorage()
+ * });
+ *
+ * const bc = new BrainClient({ driverCache });
+ * ```
+ *
+ * @class BrainClient.DriverCache
+ */
+export default class DriverCache {
+	/**
+	 * @param {object} opts
+	 * @param {object} opts.storage Optional storage to persist drivers in (defaults to none, memory only)
+	 */
+	constructor({ storage = null } = {}) {
+		this.storage = storage;
+
+		// Promises for drivers by `driverId@version`
+		this._drivers = new Map();
+	}
+
+	/**
+	 * Get a driver from the cache, calling `fetch` to download it if not cached
+	 * @param {string} driverId Driver ID
+	 * @param {string|number} version Driver version
+	 * @param {function} fetch Called to download the driver if not cached, must return a `Promise` for the driver
+	 * @returns {Promise<object>} The driver
+	 */
+	get(driverId, version, fetch) {
+		return this._get(driverId, version, fetch, true);
+	}
+
+	_get(driverId, version, fetch, retry) {
+		const key = `${driverId}@${version}`;
+		const shared = this._drivers.get(key);
+		if(shared) {
+			// The download may have failed only for the caller that started it (its client disconnected),
+			// so try once more. The first waiter to retry starts the download, the others share it
+			return retry ? shared.catch(() => this._get(driverId, version, fetch, false)) : shared;
+		}
+
+		const promise = this._load(driverId, version, fetch);
+		this._drivers.set(key, promise);
+
+		promise.then(() => {
+			// Keep only the latest version, older ones won't be asked for again
+			this._keys(driverId)
+				.filter(other => other !== key)
+				.forEach(other => this._drivers.delete(other));
+		}, () => {
+			// Don't cache failures, so the next call downloads again
+			if(this._drivers.get(key) === promise) {
+				this._drivers.delete(key);
+			}
+		});
+
+		return promise;
+	}
+
+	/**
+	 * Forget every version of a driver, in memory and in the storage
+	 * @param {string} driverId Driver ID
+	 * @returns {Promise}
+	 */
+	delete(driverId) {
+		this._keys(driverId).forEach(key => this._drivers.delete(key));
+
+		return this._storageCall('delete', driverId);
+	}
+
+	_keys(driverId) {
+		return Array.from(this._drivers.keys()).filter(key => key.startsWith(driverId + '@'));
+	}
+
+	async _load(driverId, version, fetch) {
+		const stored = await this._storageCall('get', driverId);
+		if(stored && stored.driver && String(stored.version) === String(version)) {
+			return stored.driver;
+		}
+
+		const driver = await fetch();
+		await this._storageCall('set', driverId, { version, driver });
+		return driver;
+	}
+
+	// Storage errors are logged, not thrown, so a broken storage only costs a download
+	async _storageCall(method, ...args) {
+		if(!this.storage) {
+			return null;
+		}
+
+		try {
+			return await this.storage[method](...args);
+		} catch(error) {
+			Logger.getDefaultLogger().w(DriverCache.LOG_TAG, `Driver storage ${method} failed: ${error}`);
+			return null;
+		}
+	}
+}
+
+Object.assign(DriverCache, {
+	// Cache shared by clients created with `driverCache: true`
+	shared: new DriverCache(),
+
+	// Internal prop used for logging
+	LOG_TAG: "DriverCache",
+});
+
+/**
+ * Storage for drivers in `window.localStorage` (or any object implementing the Web Storage API), as JSON.
+ * See {@link BrainClient.DriverCache} for the storage interface.
+ *
+ * @class BrainClient.LocalStorageDriverStorage
+ */
+export class LocalStorageDriverStorage {
+	/**
+	 * @param {object} opts
+	 * @param {Storage} opts.storage Storage to use (defaults to `window.localStorage`)
+	 * @param {string} opts.prefix Prefix for keys in the storage (defaults to `'brain-client-driver:'`)
+	 */
+	constructor({ storage, prefix = 'brain-client-driver:' } = {}) {
+		this.storage = storage || (typeof window !== 'undefined' ? window.localStorage : null);
+		this.prefix  = prefix;
+
+		if(!this.storage) {
+			throw new Error('localStorage is not available, pass a storage to LocalStorageDriverStorage');
+		}
+	}
+
+	get(driverId) {
+		const json = this.storage.getItem(this.prefix + driverId);
+		return json ? JSON.parse(json) : null;
+	}
+
+	set(driverId, entry) {
+		this.storage.setItem(this.prefix + driverId, JSON.stringify(entry));
+	}
+
+	delete(driverId) {
+		this.storage.removeItem(this.prefix + driverId);
+	}
+}
+
+/**
+ * Storage for drivers in IndexedDB (browsers), for drivers too large for `localStorage`.
+ * See {@link BrainClient.DriverCache} for the storage interface.
+ *
+ * @class BrainClient.IndexedDBDriverStorage
+ */
+export class IndexedDBDriverStorage {
+	/**
+	 * @param {object} opts
+	 * @param {IDBFactory} opts.indexedDB IndexedDB to use (defaults to `window.indexedDB`)
+	 * @param {string} opts.dbName Name of the database (defaults to `'brain-client-drivers'`)
+	 */
+	constructor({ indexedDB, dbName = 'brain-client-drivers' } = {}) {
+		this.indexedDB = indexedDB || (typeof window !== 'undefined' ? window.indexedDB : null);
+		this.dbName    = dbName;
+
+		if(!this.indexedDB) {
+			throw new Error('IndexedDB is not available, pass an indexedDB to IndexedDBDriverStorage');
+		}
+	}
+
+	get(driverId) {
+		return this._request('readonly', store => store.get(driverId));
+	}
+
+	set(driverId, entry) {
+		return this._request('readwrite', store => store.put(entry, driverId));
+	}
+
+	delete(driverId) {
+		return this._request('readwrite', store => store.delete(driverId));
+	}
+
+	/**
+	 * @private
+	 */
+	_db() {
+		if(!this._dbPromise) {
+			this._dbPromise = new Promise((resolve, reject) => {
+				const open = this.indexedDB.open(this.dbName, 1);
+				open.onupgradeneeded = () => open.result.createObjectStore(IDB_STORE);
+				open.onsuccess = () => resolve(open.result);
+				open.onerror   = () => reject(open.error);
+			});
+		}
+
+		return this._dbPromise;
+	}
+
+	/**
+	 * @private
+	 */
+	async _request(mode, callback) {
+		const db = await this._db();
+		return new Promise((resolve, reject) => {
+			const request = callback(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+			request.onsuccess = () => resolve(request.result);
+			request.onerror   = () => reject(request.error);
+		});
+	}
+}
+
+const IDB_STORE = 'drivers';
+
+/**
+ * Get the driver cache for the `driverCache` option given to {@link BrainClient}
+ * @param {boolean|BrainClient.DriverCache} driverCache `false` (or not set) for a cache private to the client, `true` for the shared cache, or a cache
+ * @returns {BrainClient.DriverCache}
+ */
+export function driverCache(driverCache) {
+	if(driverCache === true) {
+		return DriverCache.shared;
+	}
+
+	return driverCache || new DriverCache();
+}
@@ -27,8 +27,9 @@ export default function fetchWithTimeout(url="", { timeout, ...options } = {
 			reject({ timeout: true });
 		}, timeout || DEFAULT_TIMEOUT);
 
-		// Pass thru all other options to fetch
-		fetch(url, options)
+		// Pass thru all other options to fetch. node-fetch also honors `timeout` itself,
+		// which closes the underlying socket instead of leaving it open after we reject
+		fetch(url, { ...options, timeout: timeout || DEFAULT_TIMEOUT })
 			.then(resolve)
 			.catch(reject);
 	});
@@ -0,0 +1,77 @@
+import fs from 'fs';
+import SessionRecorder from './session-recorder';
+
+/**
+ * A {@link BrainClient.SessionRecorder} that also appends every entry to a file as NDJSON (one entry per line),
+ * so a session recorded on site can be replayed later with a {@link BrainClient.ReplayTransport}.
+ *
+ * Node only, so it's exported by `@kramerav/brain-client/mock` rather than the main entry.
+ *
+ * **Example usage:**
+ * ```javascript
+ * const { FileSessionRecorder } = require('@kramerav/brain-client/mock');
+ *
+ * const bc = new BrainClient({ record: new FileSessionRecorder({ file: 'brain-session.ndjson' }) });
+ * // ...later, to replay it:
+ * const replay = new BrainClient({
+ * 	transport: BrainClient.ReplayTransport.factory(FileSessionRecorder.load('brain-session.ndjson')),
+ * });
+ * ```
+ *
+ * @class FileSessionRecorder
+ * @extends BrainClient.SessionRecorder
+ */
+export default class FileSessionRecorder extends SessionRecorder {
+	/**
+	 * @param {object} opts
+	 * @param {string} opts.file Path of the NDJSON file to append entries to
+	 * @param {Array} opts.entries Optional array to push entries to as well
+	 */
+	constructor({ file, entries } = {}) {
+		super({ entries });
+
+		if(!file) {
+			throw new Error('FileSessionRecorder requires a file');
+		}
+
+		this.file    = file;
+		this._stream = null;
+		this._ended  = Promise.resolve();
+	}
+
+	/**
+	 * Read and parse an NDJSON file written by a recorder
+	 * @param {string} file Path of the file
+	 * @returns {Array} Entries
+	 */
+	static load(file) {
+		return SessionRecorder.parse(fs.readFileSync(file, 'utf8'));
+	}
+
+	/**
+	 * Flush and close the file. Entries recorded after closing will re-open the file.
+	 * @returns {Promise} Resolves once the file is closed (including when closed by an earlier call)
+	 */
+	close() {
+		const stream = this._stream;
+		this._stream = null;
+
+		if(stream) {
+			this._ended = new Promise(resolve => stream.end(resolve));
+		}
+
+		return this._ended;
+	}
+
+	/**
+	 * @private
+	 */
+	_append(entry) {
+		super._append(entry);
+
+		if(!this._stream) {
+			this._stream = fs.createWriteStream(this.file, { flags: 'a' });
+		}
+		this._stream.write(JSON.stringify(entry) + '\n');
+	}
+}
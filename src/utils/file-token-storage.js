@@ -0,0 +1,59 @@
+import fs from 'fs';
+
+/**
+ * Storage for session tokens in a JSON file, so scripts and kiosk apps don't need the PIN again after restarting.
+ * See {@link BrainClient.MemoryTokenStorage} for the storage interface.
+ *
+ * Node only, so it's exported by `@kramerav/brain-client/mock` rather than the main entry:
+ * ```javascript
+ * const { FileTokenStorage } = require('@kramerav/brain-client/mock');
+ * const bc = new BrainClient({ tokenCache: new FileTokenStorage({ file: 'brain-tokens.json' }) });
+ * ```
+ *
+ * @class FileTokenStorage
+ */
+export default class FileTokenStorage {
+	/**
+	 * @param {object} opts
+	 * @param {string} opts.file Path of the JSON file, created if it doesn't exist
+	 */
+	constructor({ file } = {}) {
+		if(!file) {
+			throw new Error('FileTokenStorage requires a file');
+		}
+
+		this.file = file;
+	}
+
+	get(key) {
+		return this._read()[key];
+	}
+
+	set(key, token) {
+		this._write({ ...this._read(), [key]: token });
+	}
+
+	delete(key) {
+		const tokens = this._read();
+		delete tokens[key];
+		this._write(tokens);
+	}
+
+	/**
+	 * @private
+	 */
+	_read() {
+		if(!fs.existsSync(this.file)) {
+			return {};
+		}
+
+		return JSON.parse(fs.readFileSync(this.file, 'utf8') || '{}');
+	}
+
+	/**
+	 * @private
+	 */
+	_write(tokens) {
+		fs.writeFileSync(this.file, JSON.stringify(tokens, null, 2));
+	}
+}
@@ -11,12 +11,15 @@ class HttpClient {
 	//  * @param {string} urlRoot - URL root to use for all requests by this object
 	//  * @memberof HtpClient
 	//  */
-	constructor({ baseURL: urlRoot, timeout } = {}) {
+	constructor({ baseURL: urlRoot, timeout, agent } = {}) {
 		// if(process.env.NODE_ENV !== 'production')
 			// console.log("[HtpClient] Using API server at ", urlRoot);
 
 		this.urlRoot = urlRoot || '';
 		this.timeout = timeout || 2500;
+
+		// Node-only (ignored by browsers), used to pass TLS options like `ca` to node-fetch
+		this.agent = agent;
 	}
 
 	/**
@@ -239,6 +242,7 @@ class HttpClient {
 				referrerPolicy: "no-referrer", // no-referrer, *client
 				body, // body data type must match "Content-Type" header
 				timeout: this.timeout,
+				...(this.agent ? { agent: this.agent } : {}),
 			});//.catch(err => errorCatcher);
 
 			// Add auto-retry for >501 and <600 (e.g. don't retry 501, bit other 5xx can retry)
@@ -0,0 +1,122 @@
+import SYSTEM_DRIVER_ID from './system-driver-id';
+
+// Default fixture for MockBrainServer: a provisioned Brain in express mode with no PIN,
+// the System Device (with one custom state), a projector (with a macro) and a handset.
+// See MockBrainServer for the fixture format.
+export default {
+	brain: {
+		brain_id:               'mock-brain-0000-0000-000000000000',
+		brain_provisioned:      true,
+		brain_state:            'active_online',
+		brain_status_color:     'green',
+		brain_version:          '0.0.0-mock',
+		hardware_model:         'MOCK-BRAIN',
+		hardware_serial_number: 'MOCK0001',
+		project_name:           'Mock Project',
+		space_id:               'mock-space',
+		space_name:             'Mock Space',
+	},
+	expressMode: true,
+	pin:         '',
+	authToken:   null,
+	devices: [
+		{
+			id:                    'mock-system-device',
+			name:                  'System Device',
+			device_driver_id:      SYSTEM_DRIVER_ID,
+			device_driver_version: 1,
+			custom_states: [
+				{ name: 'Custom State 1', reference_id: 'CUSTOM_STATE_1', primitive_type: 'string' },
+			],
+			states: {
+				SECOND_STATE:   0,
+				SYSTEM_STATE:   'OFF',
+				CUSTOM_STATE_1: '',
+			},
+		},
+		{
+			id:                    'mock-projector',
+			name:                  'Projector',
+			device_driver_id:      'mock-projector-driver',
+			device_driver_version: 1,
+			states: {
+				POWER_STATE: 'OFF',
+			},
+		},
+	],
+	drivers: {
+		[SYSTEM_DRIVER_ID]: {
+			categories: [{
+				name:         'System',
+				reference_id: 'SYSTEM',
+				macros:       [],
+				states: [
+					{ name: 'Second',       reference_id: 'SECOND_STATE', primitive_type: 'number' },
+					{ name: 'System State', reference_id: 'SYSTEM_STATE', primitive_type: 'string' },
+				],
+				capabilities: [{
+					name:         'System Use',
+					reference_id: 'SYSTEM_USE',
+					commands: [
+						{
+							name:         'Set System Use',
+							reference_id: 'SET_SYSTEM_USE',
+							codes: [{
+								state_references: [ { name: 'SYSTEM_STATE', state_id: 'SYSTEM_STATE', state_key: '' } ],
+								parameters:       [],
+							}],
+						},
+						{
+							name:         'Query System Use',
+							reference_id: 'QUERY_SYSTEM_USE',
+							codes: [{
+								state_references: [ { name: 'SYSTEM_STATE', state_id: 'SYSTEM_STATE', state_key: '' } ],
+								parameters:       [],
+							}],
+						},
+					],
+				}],
+			}],
+		},
+		'mock-projector-driver': {
+			categories: [{
+				name:         'Power',
+				reference_id: 'POWER',
+				macros: [{
+					name:         'Power On',
+					reference_id: 'POWER_ON',
+					actions: [
+						{ command_id: 'SET_POWER', parameters: [ { name: 'POWER_STATE', value: 'ON' } ] },
+					],
+				}],
+				states: [
+					{ name: 'Power State', reference_id: 'POWER_STATE', primitive_type: 'string' },
+				],
+				capabilities: [{
+					name:         'Power',
+					reference_id: 'POWER',
+					commands: [{
+						name:         'Set Power',
+						reference_id: 'SET_POWER',
+						codes: [{
+							state_references: [ { name: 'POWER_STATE', state_id: 'POWER_STATE', state_key: '' } ],
+							parameters:       [],
+						}],
+					}],
+				}],
+			}],
+		},
+	},
+	handsets: [
+		{
+			id:   'mock-handset',
+			name: 'Mock Handset',
+			type: 'web',
+			layout: {
+				views: [
+					{ id: 'power-button', type: 'button', label: 'Power' },
+				],
+			},
+		},
+	],
+};
@@ -0,0 +1,117 @@
+import defer from './defer';
+
+/**
+ * Error used to reject the promise returned by {@link BrainClient#sendData} (and methods that use it, like {@link BrainDevice#sendCommand})
+ * when the message was queued while disconnected and the connection was not re-established before the message's time-to-live ran out.
+ *
+ * @property {object} data The message that was never sent
+ * @property {number} ttl Time-to-live of the message in milliseconds
+ * @class BrainClient.ErrorMessageExpired
+ */
+export class ErrorMessageExpired extends Error {
+	constructor(message, { data, ttl } = {}) {
+		super(message || `Message expired after ${ttl}ms without reconnecting to the Brain`);
+		this.data = data;
+		this.ttl  = ttl;
+	}
+}
+
+/**
+ * Error used to reject the promise returned by {@link BrainClient#sendData} (and methods that use it, like {@link BrainDevice#sendCommand})
+ * when the message was queued while disconnected and then replaced by a newer message for the same device/state or command
+ * (only with the `BrainClient.QUEUE_POLICIES.LATEST` queue policy).
+ *
+ * @property {object} data The message that was never sent
+ * @class BrainClient.ErrorMessageSuperseded
+ */
+export class ErrorMessageSuperseded extends Error {
+	constructor(message, { data } = {}) {
+		super(message || "Message replaced by a newer message for the same target before reconnecting to the Brain");
+		this.data = data;
+	}
+}
+
+/**
+ * How the outbound queue handles multiple messages for the same target while disconnected. Pass one of these
+ * as the `queuePolicy` option to the {@link BrainClient} constructor.
+ *
+ * @typedef BrainClient.QUEUE_POLICIES
+ * @property BrainClient.QUEUE_POLICIES.FIFO   {string} Every message is sent, in order, once reconnected. This is the default.
+ * @property BrainClient.QUEUE_POLICIES.LATEST {string} Only the latest message for the same device and state (or command) is kept. Older messages for that target are rejected with {@link BrainClient.ErrorMessageSuperseded}. Messages without a single target are kept as with `FIFO`.
+ */
+export const QUEUE_POLICIES = {
+	FIFO:   'fifo',
+	LATEST: 'latest',
+};
+
+/*
+ * Queue of messages waiting for the connection to the Brain to come back.
+ *
+ * Every message pushed gets a promise that resolves to `true` when the message is
+ * finally sent by `flush()`, or rejects with `ErrorMessageExpired`/`ErrorMessageSuperseded`
+ * if it never will be.
+ */
+export default class OutboundQueue {
+	constructor({ ttl, policy } = {}) {
+		this.ttl    = ttl;
+		this.policy = policy || QUEUE_POLICIES.FIFO;
+		this._entries = [];
+	}
+
+	get length() {
+		return this._entries.length;
+	}
+
+	/*
+	 * Add `data` to the queue. `key` identifies the target of the message
+	 * for the LATEST policy, and `ttl` overrides the queue's default TTL.
+	 */
+	push(data, { key, ttl } = {}) {
+		const promise = defer(),
+			entry = { data, key, promise };
+
+		// Callers that don't care about the result shouldn't cause unhandled rejections
+		promise.catch(() => {});
+
+		if(key && this.policy === QUEUE_POLICIES.LATEST) {
+			this._entries
+				.filter(old => old.key === key)
+				.forEach(old => this._drop(old, new ErrorMessageSuperseded(null, { data: old.data })));
+		}
+
+		ttl = ttl !== undefined ? ttl : this.ttl;
+		entry.timer = setTimeout(() => {
+			this._drop(entry, new ErrorMessageExpired(null, { data, ttl }));
+		}, ttl);
+
+		this._entries.push(entry);
+		return promise;
+	}
+
+	/*
+	 * Send every queued message in order using the `send` callback.
+	 */
+	flush(send) {
+		const entries = this._entries;
+		this._entries = [];
+
+		entries.forEach(({ data, timer, promise }) => {
+			clearTimeout(timer);
+			send(data);
+			promise.resolve(true);
+		});
+	}
+
+	/*
+	 * Reject every queued message with `error` without sending it.
+	 */
+	clear(error) {
+		this._entries.slice().forEach(entry => this._drop(entry, error));
+	}
+
+	_drop(entry, error) {
+		clearTimeout(entry.timer);
+		this._entries = this._entries.filter(x => x !== entry);
+		entry.promise.reject(error);
+	}
+}
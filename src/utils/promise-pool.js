@@ -0,0 +1,22 @@
+// Like promise-map, but runs up to `limit` calls to `next` at the same time.
+// Results are returned in the same order as `list`.
+export default async function promisePool(list=null, limit=1, next = (d, idx) => {}) {
+	const all = list || [],
+		results = new Array(all.length);
+
+	let cursor = 0;
+	const worker = async () => {
+		while(cursor < all.length) {
+			const idx = cursor ++;
+			results[idx] = await next(all[idx], idx);
+		}
+	};
+
+	const workers = [];
+	for(let i = 0; i < Math.max(1, Math.min(limit, all.length)); i++) {
+		workers.push(worker());
+	}
+
+	await Promise.all(workers);
+	return results;
+}
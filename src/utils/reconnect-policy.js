@@ -0,0 +1,41 @@
+// Defaults for the reconnect options honored by `exponentialBackoff`, below.
+// These are merged into BrainClient's `opts` by the BrainClient constructor.
+export const DEFAULT_RECONNECT_OPTIONS = {
+	reconnectWaitTime:      1000,
+	reconnectMaxWaitTime:   30 * 1000,
+	reconnectBackoffFactor: 2,
+	reconnectJitter:        0.2,
+	reconnectMaxAttempts:   Infinity,
+};
+
+/*
+ * Default reconnect policy used by BrainClient.
+ *
+ * Returns the number of milliseconds to wait before reconnect attempt # `attempt` (1-based),
+ * or `false` to give up reconnecting. The delay starts at `reconnectWaitTime`, is multiplied by
+ * `reconnectBackoffFactor` for every attempt after the first, and is capped at `reconnectMaxWaitTime`.
+ * `reconnectJitter` is a fraction (0-1) of the delay to randomly add/subtract so that a room full of
+ * clients don't all hit a rebooting Brain at the same instant.
+ *
+ * @example
+	exponentialBackoff(1, { reconnectWaitTime: 500, reconnectJitter: 0 }); // 500
+	exponentialBackoff(3, { reconnectWaitTime: 500, reconnectJitter: 0 }); // 2000
+ */
+export default function exponentialBackoff(attempt=1, opts={}) {
+	const {
+		reconnectWaitTime:      waitTime,
+		reconnectMaxWaitTime:   maxWaitTime,
+		reconnectBackoffFactor: factor,
+		reconnectJitter:        jitter,
+		reconnectMaxAttempts:   maxAttempts,
+	} = { ...DEFAULT_RECONNECT_OPTIONS, ...(opts || {}) };
+
+	if(attempt > maxAttempts) {
+		return false;
+	}
+
+	const delay  = Math.min(maxWaitTime, waitTime * Math.pow(factor, Math.max(0, attempt - 1))),
+		spread = delay * Math.min(1, Math.max(0, jitter));
+
+	return Math.max(0, Math.round(delay - spread + Math.random() * spread * 2));
+}
@@ -0,0 +1,234 @@
+import SessionRecorder from './session-recorder';
+import defer from './defer';
+
+/**
+ * A transport (see {@link BrainClient.WebSocketTransport} for the interface) that plays a session
+ * recorded by {@link BrainClient.SessionRecorder} back to a {@link BrainClient}, instead of talking to a Brain.
+ * Use it to reproduce problems from a customer's Brain deterministically, like bugs in how states are processed.
+ *
+ * Frames the Brain sent (`in` entries) are delivered with the recorded timing, divided by the `speed` option
+ * (`1` for the original timing, `10` for ten times faster, `Infinity` for as fast as possible). What the client
+ * sends is kept in `sent` and matched, in order, to the frames it sent when recording (by `type`, `path` and `method`).
+ * Replay keeps the order of what was sent and received: a recorded frame is only delivered once the client has sent every
+ * frame it had sent before that frame was recorded, so replies never arrive before their requests, no matter the `speed`.
+ * (If the client never sends one of the recorded frames, replay stops there.) Since the client generates new request IDs,
+ * recorded replies are rewritten to carry the `request_id` of the matching request.
+ *
+ * Drivers already in the client's driver cache aren't requested again, so don't give the replaying client a driver cache
+ * the recording client didn't have (see the `driverCache` option of {@link BrainClient}).
+ *
+ * A transport replays a single connection. Use {@link BrainClient.ReplayTransport.factory} for the `transport`
+ * option of {@link BrainClient}, so every reconnect replays the next connection in the recording.
+ *
+ * **Example usage:**
+ * ```javascript
+ * const entries = FileSessionRecorder.load('brain-session.ndjson'); // from @kramerav/brain-client/mock
+ * const bc = new BrainClient({
+ * 	transport: BrainClient.ReplayTransport.factory(entries, { speed: 10 }),
+ * });
+ * await bc.connectToBrain('recorded-brain');
+ * ```
+ *
+ * @class BrainClient.ReplayTransport
+ */
+export default class ReplayTransport {
+	/**
+	 * @param {Array} entries Entries of one connection, see {@link BrainClient.ReplayTransport.connections}
+	 * @param {object} opts
+	 * @param {number} opts.speed Playback speed (defaults to `1`, the original timing)
+	 */
+	constructor(entries, { speed = 1 } = {}) {
+		this.entries = entries || [];
+		this.speed   = speed;
+		this.sent    = [];
+
+		// Promise resolved once every recorded frame was delivered
+		this.finished = defer();
+
+		// Recorded request_id => request_id the client used
+		this._requestIds = new Map();
+		// Recorded `out` entries the client has sent again
+		this._matched    = new Set();
+		// Index of the first recorded `out` entry not sent again yet
+		this._unmatched  = 0;
+		this._cursor     = -1;
+		this._timer      = null;
+		this._waiting    = false;
+		this._closed     = false;
+
+		this._skipMatched();
+	}
+
+	/**
+	 * Create a factory for the `transport` option of {@link BrainClient}. Each call of the factory
+	 * (every connect or reconnect of the client) replays the next connection in the recording. Once
+	 * every connection was replayed, further transports never open.
+	 * @param {Array|string} session Entries, or NDJSON as written by {@link BrainClient.SessionRecorder}
+	 * @param {object} opts Options for every {@link BrainClient.ReplayTransport}, like `speed`
+	 * @returns {function} Transport factory
+	 */
+	static factory(session, opts) {
+		const entries = typeof(session) === 'string' ? SessionRecorder.parse(session) : session;
+		const connections = ReplayTransport.connections(entries);
+
+		let next = 0;
+		return () => new ReplayTransport(connections[next ++] || [], opts);
+	}
+
+	/**
+	 * Split a recording into connections, each starting at an `open` entry
+	 * @param {Array} entries
+	 * @returns {Array} Array of arrays of entries
+	 */
+	static connections(entries) {
+		const connections = [];
+		entries.forEach(entry => {
+			if(entry.dir === 'open' || !connections.length) {
+				connections.push([]);
+			}
+			connections[connections.length - 1].push(entry);
+		});
+
+		return connections;
+	}
+
+	open() {
+		if(!this.entries.length) {
+			return;
+		}
+
+		const [ first ] = this.entries;
+		if(first.dir === 'open') {
+			this._cursor = 0;
+		}
+
+		this._schedule(0, () => {
+			this.onopen && this.onopen();
+			this._next(first.time);
+		});
+	}
+
+	send(data) {
+		const msg = typeof(data) === 'string' ? JSON.parse(data) : data;
+		this.sent.push(msg);
+
+		this._match(msg || {});
+
+		if(this._waiting && this._unmatched > this._cursor) {
+			this._waiting = false;
+			this._next(this._lastTime);
+		}
+	}
+
+	close() {
+		this._closed = true;
+		clearTimeout(this._timer);
+		this._timer = null;
+	}
+
+	/**
+	 * Match a frame sent by the client to the first recorded frame like it not matched yet
+	 * @private
+	 */
+	_match(msg) {
+		const recorded = this.entries.slice(this._unmatched).find(entry =>
+			entry.dir === 'out' &&
+			!this._matched.has(entry) &&
+			entry.msg && entry.msg.type === msg.type &&
+			entry.msg.path === msg.path &&
+			entry.msg.method === msg.method
+		);
+
+		if(!recorded) {
+			return;
+		}
+
+		this._matched.add(recorded);
+		if(recorded.msg.request_id !== undefined) {
+			this._requestIds.set(recorded.msg.request_id, msg.request_id);
+		}
+
+		this._skipMatched();
+	}
+
+	/**
+	 * Move `_unmatched` to the next recorded `out` entry not sent again yet
+	 * @private
+	 */
+	_skipMatched() {
+		const { entries } = this;
+		while(this._unmatched < entries.length &&
+			(entries[this._unmatched].dir !== 'out' || this._matched.has(entries[this._unmatched]))) {
+			this._unmatched ++;
+		}
+	}
+
+	/**
+	 * Deliver the next recorded frame, `time` being the timestamp of the last one delivered
+	 * @private
+	 */
+	_next(time) {
+		this._lastTime = time;
+
+		// Skip over what the client sent, we only play back the Brain's side
+		let entry = this.entries[++ this._cursor];
+		while(entry && entry.dir === 'out') {
+			entry = this.entries[++ this._cursor];
+		}
+
+		if(!entry) {
+			this.finished.resolve();
+			return;
+		}
+
+		if(this._unmatched < this._cursor) {
+			// Hold until the client catches up, see send()
+			this._cursor --;
+			this._waiting = true;
+			return;
+		}
+
+		this._schedule((entry.time - time) / this.speed, () => {
+			if(entry.dir === 'close') {
+				this.finished.resolve();
+				this.onclose && this.onclose();
+				return;
+			}
+
+			if(entry.dir === 'in') {
+				this._deliver(entry.msg);
+			}
+
+			this._next(entry.time);
+		});
+	}
+
+	/**
+	 * Hand a recorded frame to the client, rewriting its `request_id`
+	 * @private
+	 */
+	_deliver(msg) {
+		let frame = msg;
+		if(msg && this._requestIds.has(msg.request_id)) {
+			frame = { ...msg, request_id: this._requestIds.get(msg.request_id) };
+		}
+
+		this.onmessage && this.onmessage(typeof(frame) === 'string' ? frame : JSON.stringify(frame));
+	}
+
+	/**
+	 * @private
+	 */
+	_schedule(delay, callback) {
+		if(this._closed) {
+			return;
+		}
+
+		this._timer = setTimeout(() => {
+			this._timer = null;
+			if(!this._closed) {
+				callback();
+			}
+		}, isFinite(delay) ? Math.max(0, delay) : 0);
+	}
+}
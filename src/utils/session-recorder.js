@@ -0,0 +1,101 @@
+/**
+ * Records the traffic between a {@link BrainClient} and the Brain, for reproducing problems later with a {@link BrainClient.ReplayTransport}.
+ * Usually created for you by passing the `record` option to the {@link BrainClient} constructor.
+ *
+ * Each frame is recorded as an entry like `{ time, dir, msg }`:
+ * * `time` - Timestamp in milliseconds (from `Date.now()`)
+ * * `dir` - `'in'` for frames from the Brain, `'out'` for frames sent by the client, `'open'` when the connection opened and `'close'` when the connection was closed by the Brain (or the network)
+ * * `msg` - The frame, parsed from JSON (or the raw string if it wasn't valid JSON), `null` for `open` and `close`
+ *
+ * Entries are pushed to an array. To append them to a file as NDJSON (one entry per line), use a {@link FileSessionRecorder}
+ * (Node only, from `@kramerav/brain-client/mock`).
+ *
+ * **Example usage:**
+ * ```javascript
+ * const entries = [];
+ * const bc = new BrainClient({ record: entries });
+ * // ...later, to replay it:
+ * const replay = new BrainClient({
+ * 	transport: BrainClient.ReplayTransport.factory(entries),
+ * });
+ * ```
+ *
+ * @class BrainClient.SessionRecorder
+ */
+export default class SessionRecorder {
+	/**
+	 * @param {object} opts
+	 * @param {Array} opts.entries Optional array to push entries to
+	 */
+	constructor({ entries } = {}) {
+		this.entries = entries || null;
+	}
+
+	/**
+	 * Create a recorder from the `record` option given to {@link BrainClient}
+	 * @param {Array|SessionRecorder} target Array to push entries to, or an existing recorder
+	 * @returns {SessionRecorder}
+	 */
+	static from(target) {
+		if(target instanceof SessionRecorder) {
+			return target;
+		}
+
+		if(Array.isArray(target)) {
+			return new SessionRecorder({ entries: target });
+		}
+
+		if(typeof(target) === 'string') {
+			throw new Error('To record to a file, pass a FileSessionRecorder from @kramerav/brain-client/mock as the record option');
+		}
+
+		throw new Error('record must be an array or a SessionRecorder');
+	}
+
+	/**
+	 * Parse NDJSON (as written by a recorder) into an array of entries. Blank lines are ignored.
+	 * @param {string} ndjson
+	 * @returns {Array} Entries
+	 */
+	static parse(ndjson) {
+		return String(ndjson)
+			.split('\n')
+			.filter(line => line.trim())
+			.map(line => JSON.parse(line));
+	}
+
+	/**
+	 * Record a frame or event
+	 * @param {string} dir One of `'in'`, `'out'`, `'open'` or `'close'`
+	 * @param {string} frame Optional, the frame as sent over the socket
+	 */
+	record(dir, frame) {
+		let msg = null;
+		if(frame !== undefined && frame !== null) {
+			try {
+				msg = JSON.parse(frame);
+			} catch(e) {
+				msg = frame;
+			}
+		}
+
+		this._append({ time: Date.now(), dir, msg });
+	}
+
+	/**
+	 * Stop recording. Nothing to release for an array, see {@link FileSessionRecorder#close}
+	 * @returns {Promise}
+	 */
+	close() {
+		return Promise.resolve();
+	}
+
+	/**
+	 * @private
+	 */
+	_append(entry) {
+		if(this.entries) {
+			this.entries.push(entry);
+		}
+	}
+}
@@ -0,0 +1,79 @@
+/**
+ * Stages of {@link BrainClient#setupConnection}, used as the `stage` of {@link BrainClient.ErrorSetupTimeout}
+ * to tell which reply from the Brain never arrived.
+ *
+ * @typedef BrainClient.SETUP_STAGES
+ * @property BrainClient.SETUP_STAGES.PROVISIONING {string} Waiting for the Brain's status (the reply to `get_brain_stat_message`), see {@link BrainClient#isProvisioned}
+ * @property BrainClient.SETUP_STAGES.EXPRESS_MODE {string} Waiting for the Brain to say if express mode is enabled (the reply to `get_express_mode_flag_msg`), see {@link BrainClient#isExpressModeEnabled}
+ * @property BrainClient.SETUP_STAGES.AUTHORIZING  {string} Waiting for the Brain to accept or reject the default PIN, the PIN given or the token given, see {@link BrainClient#isAuthorized}
+ */
+export const SETUP_STAGES = {
+	PROVISIONING: 'provisioning',
+	EXPRESS_MODE: 'express_mode',
+	AUTHORIZING:  'authorizing',
+};
+
+/**
+ * Error thrown by {@link BrainClient#setupConnection} (and {@link BrainClient#connectToBrain}) when the Brain did not
+ * reply in time during setup. See the `setupTimeout` option on the {@link BrainClient} constructor.
+ * The client is not disconnected, and keeps waiting for the Brain in the background.
+ *
+ * @property {string} stage Stage that stalled, one of {@link BrainClient.SETUP_STAGES}
+ * @property {number} timeout The `setupTimeout` in milliseconds
+ * @class BrainClient.ErrorSetupTimeout
+ */
+export class ErrorSetupTimeout extends Error {
+	constructor(message, { stage, timeout } = {}) {
+		super(message || `No reply from the Brain while ${stage} (setup timed out after ${timeout}ms)`);
+		this.stage   = stage;
+		this.timeout = timeout;
+	}
+}
+
+/*
+ * Deadline shared by every stage of a `setupConnection` call.
+ *
+ * `wait()` races a promise against the time left, rejecting with `ErrorSetupTimeout`
+ * for the stage given. Time spent in `exclude()` (like a user typing a PIN) doesn't count.
+ * A `timeout` of `0` disables the deadline.
+ */
+export default class SetupDeadline {
+	constructor(timeout) {
+		this.timeout = timeout;
+		this._end    = Date.now() + timeout;
+	}
+
+	wait(stage, promise) {
+		if(!this.timeout) {
+			return promise;
+		}
+
+		let timer;
+		const expired = new Promise((resolve, reject) => {
+			timer = setTimeout(
+				() => reject(new ErrorSetupTimeout(null, { stage, timeout: this.timeout })),
+				Math.max(0, this._end - Date.now())
+			);
+		});
+
+		return Promise.race([ promise, expired ]).then(
+			value => {
+				clearTimeout(timer);
+				return value;
+			},
+			error => {
+				clearTimeout(timer);
+				throw error;
+			}
+		);
+	}
+
+	async exclude(promise) {
+		const started = Date.now();
+		try {
+			return await promise;
+		} finally {
+			this._end += Date.now() - started;
+		}
+	}
+}
@@ -0,0 +1,76 @@
+/**
+ * Storage for session tokens in memory, for the life of the storage object. Used for the `tokenCache` option of
+ * {@link BrainClient} when set to `true`.
+ *
+ * Any object with the same methods can be used as a token storage. Methods may return a `Promise`:
+ * * `get(key)` - Returns the token stored for `key`, or `null`/`undefined` if none
+ * * `set(key, token)` - Store `token` for `key`
+ * * `delete(key)` - Forget the token stored for `key`
+ *
+ * @class BrainClient.MemoryTokenStorage
+ */
+export class MemoryTokenStorage {
+	constructor() {
+		this._tokens = new Map();
+	}
+
+	get(key) {
+		return this._tokens.get(key);
+	}
+
+	set(key, token) {
+		this._tokens.set(key, token);
+	}
+
+	delete(key) {
+		this._tokens.delete(key);
+	}
+}
+
+/**
+ * Storage for session tokens in `window.localStorage` (or any object implementing the Web Storage API),
+ * so users of PIN-protected rooms aren't asked for the PIN again after reloading the page.
+ * See {@link BrainClient.MemoryTokenStorage} for the storage interface.
+ *
+ * @class BrainClient.LocalStorageTokenStorage
+ */
+export class LocalStorageTokenStorage {
+	/**
+	 * @param {object} opts
+	 * @param {Storage} opts.storage Storage to use (defaults to `window.localStorage`)
+	 * @param {string} opts.prefix Prefix for keys in the storage (defaults to `'brain-client-token:'`)
+	 */
+	constructor({ storage, prefix = 'brain-client-token:' } = {}) {
+		this.storage = storage || (typeof window !== 'undefined' ? window.localStorage : null);
+		this.prefix  = prefix;
+
+		if(!this.storage) {
+			throw new Error('localStorage is not available, pass a storage to LocalStorageTokenStorage');
+		}
+	}
+
+	get(key) {
+		return this.storage.getItem(this.prefix + key);
+	}
+
+	set(key, token) {
+		this.storage.setItem(this.prefix + key, token);
+	}
+
+	delete(key) {
+		this.storage.removeItem(this.prefix + key);
+	}
+}
+
+/**
+ * Get the token storage for the `tokenCache` option given to {@link BrainClient}
+ * @param {boolean|object} tokenCache `true` for a {@link BrainClient.MemoryTokenStorage}, or a storage object
+ * @returns {object|null} Token storage, or `null` if token caching is disabled
+ */
+export default function tokenStorage(tokenCache) {
+	if(!tokenCache) {
+		return null;
+	}
+
+	return tokenCache === true ? new MemoryTokenStorage() : tokenCache;
+}
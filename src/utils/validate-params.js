@@ -0,0 +1,104 @@
+/*
+ * Check the params given to a command (see BrainDevice#sendCommand) against the command's
+ * params from the driver, returning a list of violations like `{ name, value, reason }`.
+ * An empty list means the params are valid.
+ *
+ * Names are compared upper-cased, since that's how they are sent to the Brain. Static params
+ * are checked against their `type` (`parameter_type` in the driver) and `constraints`:
+ * * `required` - `true` if the param must be given
+ * * `min`/`max` - Range of numeric values
+ * * `enum` - Array of accepted values
+ * Params bound to a state (dynamic params) are only checked for their name.
+ *
+ * @example
+	validateParams(command, { VOLUME: 120 });
+	// [ { name: 'VOLUME', value: 120, reason: 'must be at most 100' } ]
+ */
+export default function validateParams(command, params={}) {
+	const declared = {};
+	Object.keys(command.params || {}).forEach(name => declared[name.toUpperCase()] = command.params[name]);
+
+	const given = {};
+	Object.keys(params).forEach(name => given[name.toUpperCase()] = params[name]);
+
+	const violations = [];
+	const violation = (name, value, reason) => violations.push({ name, value, reason });
+
+	Object.keys(given).forEach(name => {
+		if(!declared[name]) {
+			violation(name, given[name], `is not a parameter of ${command.name}`);
+		}
+	});
+
+	Object.keys(declared).forEach(name => {
+		const { state, type, constraints } = declared[name];
+		const value = given[name];
+
+		if(state) {
+			return;
+		}
+
+		if(value === undefined || value === null) {
+			if(constraints && constraints.required) {
+				violation(name, value, 'is required');
+			}
+			return;
+		}
+
+		const reason = typeViolation(type, value) || constraintViolation(constraints || {}, value);
+		if(reason) {
+			violation(name, value, reason);
+		}
+	});
+
+	return violations;
+}
+
+function typeViolation(type, value) {
+	switch(String(type || '').toLowerCase()) {
+		case 'number':
+		case 'float':
+		case 'double':
+			return isNumeric(value) ? null : 'must be a number';
+
+		case 'integer':
+		case 'int':
+			return isNumeric(value) && Number.isInteger(Number(value)) ? null : 'must be an integer';
+
+		case 'boolean':
+		case 'bool':
+			return [ 'true', 'false', '1', '0' ].includes(String(value).toLowerCase()) ? null : 'must be a boolean';
+
+		default:
+			return null;
+	}
+}
+
+function constraintViolation(constraints, value) {
+	const { enum: choices, min, max } = constraints;
+	if(Array.isArray(choices) && choices.length) {
+		if(!choices.some(choice => String(choice) === String(value))) {
+			return `must be one of ${choices.join(', ')}`;
+		}
+	}
+
+	if(isNumeric(min) || isNumeric(max)) {
+		if(!isNumeric(value)) {
+			return 'must be a number';
+		}
+
+		if(isNumeric(min) && Number(value) < Number(min)) {
+			return `must be at least ${min}`;
+		}
+
+		if(isNumeric(max) && Number(value) > Number(max)) {
+			return `must be at most ${max}`;
+		}
+	}
+
+	return null;
+}
+
+function isNumeric(value) {
+	return value !== null && value !== '' && typeof(value) !== 'boolean' && isFinite(Number(value));
+}
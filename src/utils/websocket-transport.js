@@ -0,0 +1,81 @@
+import WebSocket from 'isomorphic-ws';
+
+// https://developer.mozilla.org/en-US/docs/Web/API/WebSocket#Ready_state_constants
+const WS_CLOSED = 3;
+
+/**
+ * The default transport used by {@link BrainClient} to talk to the Brain, using a WebSocket
+ * (the browser's `WebSocket`, or the [ws]{@link https://github.com/websockets/ws} package on Node).
+ *
+ * **<h3>Transport Interface</h3>**
+ * You can replace this with your own transport (an in-memory channel for tests, a `SharedWorker` port, a custom tunnel, etc)
+ * by passing a factory as the `transport` option to the {@link BrainClient} constructor. The factory is called as
+ * `transport({ url, secure, tls, ipAddress })` every time the client connects (and reconnects), and must return an object with these methods:
+ * * `open()` - Start connecting. Call `onopen()` once connected, or `onclose()` if the connection fails
+ * * `send(data)` - Send a frame (always a `string` of JSON) to the Brain
+ * * `close()` - Close the connection. Callbacks are detached by the client before calling `close()`
+ *
+ * Before calling `open()`, the client sets these callbacks on the transport object, which the transport must call:
+ * * `onopen()` - When the connection is open and `send` can be used
+ * * `onmessage(data)` - With each frame (a `string` of JSON) received from the Brain
+ * * `onclose()` - When the connection is closed or could not be opened. The client will reconnect (by calling the factory again) unless it was disconnected on purpose.
+ * * `onerror(error)` - Optional, for errors worth logging. Does not close the connection by itself.
+ *
+ * **Example usage:**
+ * ```javascript
+ * const bc = new BrainClient({
+ * 	transport: ({ url }) => new MyTunnelTransport(url),
+ * });
+ * ```
+ *
+ * @class BrainClient.WebSocketTransport
+ */
+export default class WebSocketTransport {
+	/**
+	 * @param {object} opts
+	 * @param {string} opts.url WebSocket URL of the Brain, like `ws://10.0.1.2:8000/web-client`
+	 * @param {boolean} opts.secure `true` if `url` is a `wss://` URL
+	 * @param {object} opts.tls Node-only TLS options, see the `tls` option of {@link BrainClient}
+	 */
+	constructor({ url, secure, tls } = {}) {
+		this.url    = url;
+		this.secure = secure;
+		this.tls    = tls;
+		this.ws     = null;
+	}
+
+	open() {
+		// Browsers ignore the third arg, `ws` on Node uses it for TLS options like `ca`
+		const ws = this.ws = this.secure && this.tls ?
+			new WebSocket(this.url, [], this.tls) :
+			new WebSocket(this.url);
+
+		ws.onopen    = () => this.onopen && this.onopen();
+		ws.onclose   = () => this.onclose && this.onclose();
+		ws.onmessage = event => this.onmessage && this.onmessage(event.data);
+		ws.onerror   = event => this.onerror && this.onerror(event);
+	}
+
+	send(data) {
+		this.ws.send(data);
+	}
+
+	close() {
+		const { ws } = this;
+		if(!ws) {
+			return;
+		}
+
+		ws.onopen    = null;
+		ws.onclose   = null;
+		ws.onmessage = null;
+		// Keep a no-op so errors closing a socket that's still connecting don't go unhandled
+		ws.onerror   = () => {};
+
+		if(ws.readyState !== WS_CLOSED) {
+			ws.close();
+		}
+
+		this.ws = null;
+	}
+}
@@ -2,8 +2,9 @@
 
 const expect = require('chai').expect;
 const { BrainClient } = require('../dist/cjs');
+const { MockBrainServer, FileTokenStorage, FileSessionRecorder, DirectoryDriverStorage } = require('../dist/cjs/mock');
 
-// NOTE: This will require a running Brain, assumes 127.0.0.1:8000 unless env var TEST_BRAIN_IP set
+// NOTE: Tests run against a MockBrainServer on 127.0.0.1:8000 unless env var TEST_BRAIN_IP set to a real Brain
 const BRAIN_IP = process.env.TEST_BRAIN_IP || '127.0.0.1:8000';
 
 // Util to catch async errors
@@ -16,6 +17,25 @@ async function wait(done, f) {
 	}
 }
 
+// Util to run `f({ mock, client, createClient })` against a fresh MockBrainServer on a free port.
+// `opts.mock` and `opts.client` are passed to the MockBrainServer and BrainClient constructors.
+// `createClient(opts)` makes more clients like `client`. Every client is disposed and the mock closed afterwards.
+async function withMockBrain(opts, f) {
+	const mock = await new MockBrainServer({ tickInterval: 0, ...opts.mock }).listen(0);
+	const clients = [];
+	const createClient = clientOpts => {
+		clients.push(new BrainClient({ disableAnalytics: true, heartbeatInterval: 0, ...opts.client, ...clientOpts }));
+		return clients[clients.length - 1];
+	};
+
+	try {
+		return await f({ mock, client: createClient(), createClient });
+	} finally {
+		clients.forEach(client => client.dispose());
+		await mock.close();
+	}
+}
+
 describe('#BrainClient', function() {
 
 	// Quiet chatty logging
@@ -24,6 +44,14 @@ describe('#BrainClient', function() {
 	// Our client handle, created in first test
 	let bc;
 
+	// Stand-in for a real Brain so the suite runs without hardware
+	let mockBrain;
+	before(async () => {
+		if(!process.env.TEST_BRAIN_IP) {
+			mockBrain = await new MockBrainServer().listen(8000, '127.0.0.1');
+		}
+	});
+
 	// Util assertion for tests lower in the file to make sure
 	// first test passed before blindly trying to test
 	const assertClient = () => {
@@ -119,6 +147,1105 @@ describe('#BrainClient', function() {
 		expect(tmp.opts.disableAnalytics).to.equal(true);
 	})
 
+	it('should back off exponentially when reconnecting', () => {
+		const opts = {
+			reconnectWaitTime: 100,
+			reconnectMaxWaitTime: 1000,
+			reconnectJitter: 0,
+			reconnectMaxAttempts: 5,
+		};
+
+		expect(BrainClient.exponentialBackoff(1, opts)).to.equal(100);
+		expect(BrainClient.exponentialBackoff(2, opts)).to.equal(200);
+		expect(BrainClient.exponentialBackoff(4, opts)).to.equal(800);
+		expect(BrainClient.exponentialBackoff(5, opts)).to.equal(1000);
+		expect(BrainClient.exponentialBackoff(6, opts)).to.equal(false);
+
+		const jittered = BrainClient.exponentialBackoff(1, { ...opts, reconnectJitter: 0.5 });
+		expect(jittered).to.be.within(50, 150);
+	});
+
+	it('should use a custom reconnect policy and give up when told', () => {
+		const tmp = new BrainClient({
+			disableAnalytics: true,
+			reconnectPolicy: attempt => attempt < 2 ? 60 * 1000 : false
+		});
+
+		const events = [];
+		tmp.on(BrainClient.EVENTS.RECONNECTING,     data => events.push(['reconnecting', data]));
+		tmp.on(BrainClient.EVENTS.RECONNECT_FAILED, data => events.push(['failed', data]));
+
+		tmp._reconnectNeeded();
+		expect(tmp.isReconnecting).to.equal(true);
+		expect(events[0]).to.deep.equal(['reconnecting', { attempt: 1, delay: 60 * 1000 }]);
+
+		// Simulate the pending attempt failing
+		clearTimeout(tmp._reconnectTid);
+		delete tmp._reconnectTid;
+		tmp._reconnectNeeded();
+
+		expect(events[1]).to.deep.equal(['failed', { attempts: 1 }]);
+		expect(tmp.isReconnecting).to.equal(false);
+		expect(tmp.getConnectionStatus()).to.equal(BrainClient.CONNECTION_FAILURE);
+	});
+
+	it('should measure heartbeat replies and reconnect after missed heartbeats', done => {
+		wait(done, async () => {
+			const tmp = new BrainClient({
+				disableAnalytics: true,
+				heartbeatInterval: 20,
+				heartbeatMaxMisses: 2,
+			});
+
+			let reconnected = false;
+			tmp._reconnectNeeded = () => reconnected = true;
+
+			const misses = [];
+			tmp.on(BrainClient.EVENTS.HEARTBEAT_MISSED, data => misses.push(data));
+
+			tmp._heartbeat.start();
+
+			// First heartbeat sent, reply to it
+			await new Promise(resolve => setTimeout(resolve, 30));
+			tmp._incomingBrainEvent({ type: 'brain_status_message', brain_provisioned: true });
+			expect(tmp.getLatency()).to.be.a('number');
+
+			// Now stop replying
+			await new Promise(resolve => setTimeout(resolve, 100));
+			expect(misses).to.deep.equal([
+				{ misses: 1, maxMisses: 2 },
+				{ misses: 2, maxMisses: 2 },
+			]);
+			expect(reconnected).to.equal(true);
+			expect(tmp._heartbeat._timer).to.equal(null);
+		});
+	});
+
+	it('should not count replies to other status queries as heartbeats', () => {
+		const tmp = new BrainClient({ disableAnalytics: true, heartbeatInterval: 1000 });
+		const sent = [];
+		tmp.sendData = msg => sent.push(msg);
+
+		const beats = [];
+		tmp.on(BrainClient.EVENTS.HEARTBEAT, data => beats.push(data));
+
+		tmp.queryProvisionedInfo();
+		tmp._heartbeat._tick();
+		const { request_id: heartbeatId } = sent[1];
+		expect(heartbeatId).to.be.a('string');
+
+		// Untagged reply goes to the isProvisioned() query sent first, tagged replies must match
+		tmp._incomingBrainEvent({ type: 'brain_status_message', brain_provisioned: true });
+		tmp._incomingBrainEvent({ type: 'brain_status_message', brain_provisioned: true, request_id: 'other' });
+		expect(beats).to.deep.equal([]);
+
+		tmp._incomingBrainEvent({ type: 'brain_status_message', brain_provisioned: true, request_id: heartbeatId });
+		expect(beats.length).to.equal(1);
+		expect(tmp.getLatency()).to.be.a('number');
+	});
+
+	it('should trip and recover the watchdog', done => {
+		wait(done, async () => {
+			const tmp = new BrainClient({
+				disableAnalytics: true,
+				watchdog: true,
+				watchdogDeadmanTime: 30,
+				watchdogAction: BrainClient.WATCHDOG_ACTIONS.RESUBSCRIBE,
+			});
+
+			// Fake system device, with a driver so nothing is downloaded
+			const sys = new BrainClient.BrainDevice(tmp, { id: 'sys', driver: {} });
+			tmp.getSystemDevice = async () => sys;
+			tmp.devices = { sys };
+
+			const events = [];
+			tmp.on(BrainClient.EVENTS.WATCHDOG_TRIPPED,   data => events.push(['tripped', data]));
+			tmp.on(BrainClient.EVENTS.WATCHDOG_RECOVERED, data => events.push(['recovered', data]));
+
+			await tmp.watchdog.enable();
+			await new Promise(resolve => setTimeout(resolve, 45));
+
+			expect(events[0]).to.deep.equal(['tripped', { action: 'resubscribe', deadmanTime: 30 }]);
+
+			sys.emit(BrainClient.BrainDevice.STATE_CHANGED, {});
+			const [ event, { action, downtime } ] = events[events.length - 1];
+			expect(event).to.equal('recovered');
+			expect(action).to.equal('resubscribe');
+			expect(downtime).to.be.at.least(30);
+
+			tmp.watchdog.disable();
+			expect(tmp.watchdog.deadmanTimer).to.equal(null);
+		});
+	});
+
+	it('should queue messages while disconnected and send them once active', done => {
+		wait(done, async () => {
+			const tmp = new BrainClient({
+				disableAnalytics: true,
+				heartbeatInterval: 0,
+				queueTtl: 1000,
+				queuePolicy: BrainClient.QUEUE_POLICIES.LATEST,
+			});
+
+			const superseded = tmp.wrapApiCall('watch-states', { type: 'watch_states_message', device_id: 'a', watch: true });
+			const latest     = tmp.wrapApiCall('watch-states', { type: 'watch_states_message', device_id: 'a', watch: false });
+			const other      = tmp.wrapApiCall('status');
+			const expired    = tmp.wrapApiCall('devices', null, null, { ttl: 10 });
+			const dropped    = tmp.sendData({ type: 'passcode_auth_msg', token: '' });
+
+			expect(await dropped).to.equal(false);
+
+			let error = await superseded.catch(ex => ex);
+			expect(error).to.be.instanceof(BrainClient.ErrorMessageSuperseded);
+
+			error = await expired.catch(ex => ex);
+			expect(error).to.be.instanceof(BrainClient.ErrorMessageExpired);
+			expect(error.data.path).to.equal('/api/v1/devices');
+
+			// Fake a connected socket and go active
+			const sent = [];
+			tmp.ws = { send: data => sent.push(JSON.parse(data)) };
+			tmp.isConnected = true;
+			tmp._setConnectionStatus(BrainClient.CONNECTION_ACTIVE);
+
+			expect(await latest).to.equal(true);
+			expect(await other).to.equal(true);
+			expect(sent.map(({ path }) => path)).to.deep.equal([ '/api/v1/watch-states', '/api/v1/status' ]);
+			expect(sent[0].body.watch).to.equal(false);
+		});
+	});
+
+	it('should send queued messages after reconnecting to the brain', done => {
+		wait(done, async () => {
+			await withMockBrain({ client: { queueTtl: 2000, reconnectWaitTime: 1 } }, async ({ mock, client: tmp }) => {
+				await tmp.connectToBrain(mock.address);
+
+				const closed = new Promise(resolve => tmp.once(BrainClient.EVENTS.WS_CLOSED, resolve));
+				mock._sessions.forEach(({ socket }) => socket.terminate());
+				await closed;
+
+				const macros = [];
+				const received = new Promise(resolve => mock.on(MockBrainServer.MESSAGE, msg => {
+					if(msg.path === '/api/v1/send-macro') {
+						macros.push(msg.body);
+						resolve();
+					}
+				}));
+
+				// Queued while disconnected, the status and auth messages of the reconnect must not wait behind it
+				const sent = tmp.wrapApiCall('send-macro', { type: 'send_macro_message', actions: [] });
+				expect(tmp._outbound.length).to.equal(1);
+
+				expect(await sent).to.equal(true);
+				await received;
+				expect(macros.length).to.equal(1);
+				expect(tmp.getConnectionStatus()).to.equal(BrainClient.CONNECTION_ACTIVE);
+			});
+		});
+	});
+
+	it('should reject requests with typed errors', done => {
+		wait(done, async () => {
+			const tmp = new BrainClient({ disableAnalytics: true, queueTtl: 0 });
+
+			let error = await tmp.callApiSync('general', () => false, { foo: 1 }, null, { timeout: 10 }).catch(ex => ex);
+			expect(error).to.be.instanceof(BrainClient.ErrorRequestTimeout);
+			expect(error).to.be.instanceof(BrainClient.ErrorRequest);
+			expect(error.apiPath).to.equal('general');
+			expect(error.body).to.deep.equal({ foo: 1 });
+			expect(error.elapsedMs).to.be.at.least(9);
+
+			// Minimal AbortSignal stand-in, since not all supported Node versions have AbortController
+			const signal = new (require('events'))();
+			signal.addEventListener    = signal.on;
+			signal.removeEventListener = signal.off || signal.removeListener;
+
+			const aborted = tmp.brainInfo({ signal });
+			signal.aborted = true;
+			signal.emit('abort');
+			error = await aborted.catch(ex => ex);
+			expect(error).to.be.instanceof(BrainClient.ErrorRequestAborted);
+
+			error = await tmp.brainInfo({ signal }).catch(ex => ex);
+			expect(error).to.be.instanceof(BrainClient.ErrorRequestAborted);
+
+			const disconnected = tmp._enumDevices();
+			tmp._disconnect();
+			error = await disconnected.catch(ex => ex);
+			expect(error).to.be.instanceof(BrainClient.ErrorDisconnected);
+			expect(tmp._enumPromise).to.equal(null);
+			expect(tmp.listenerCount(BrainClient.EVENTS.WS_MESSAGE)).to.equal(0);
+		});
+	});
+
+	it('should route replies to requests by correlation id', done => {
+		wait(done, async () => {
+			const tmp = new BrainClient({ disableAnalytics: true, queueTtl: 0 });
+
+			const sent = [];
+			tmp.ws = { send: data => sent.push(JSON.parse(data)) };
+			tmp.isConnected = true;
+
+			const hasCategories = ({ categories }) => !!categories;
+			const first  = tmp.callApiSync('device-drivers/a', hasCategories);
+			const second = tmp.callApiSync('device-drivers/b', hasCategories);
+			const third  = tmp.callApiSync('device-drivers/c', hasCategories);
+
+			const [ idA, idB ] = sent.map(({ request_id }) => request_id);
+			expect(idA).to.be.a('string');
+			expect(idA).to.not.equal(idB);
+
+			// Replies out of order, matched by id
+			tmp._incomingBrainEvent({ request_id: idB, categories: 'b' });
+			tmp._incomingBrainEvent({ request_id: idA, categories: 'a' });
+
+			// Reply without id falls back to the filter
+			tmp._incomingBrainEvent({ categories: 'c' });
+
+			expect((await first).categories).to.equal('a');
+			expect((await second).categories).to.equal('b');
+			expect((await third).categories).to.equal('c');
+			expect(tmp._pendingRequests.size).to.equal(0);
+		});
+	});
+
+	it('should connect a pool of brains and re-emit their events', done => {
+		wait(done, async () => {
+			const { BrainPool } = require('../dist/cjs');
+			const pool = new BrainPool([ '10.0.0.1', { id: 'boardroom', ipAddress: '10.0.0.2' }, '10.0.0.3' ], {
+				maxConcurrentConnects: 2,
+				clientOptions: { disableAnalytics: true, heartbeatInterval: 0 },
+			});
+
+			expect(pool.getBrainIds()).to.deep.equal([ '10.0.0.1', 'boardroom', '10.0.0.3' ]);
+			expect(() => pool.add('10.0.0.1')).to.throw();
+
+			// Fake connections, tracking how many are in progress at once
+			let connecting = 0, maxConnecting = 0;
+			pool.getBrainIds().forEach(brainId => {
+				const client = pool.getClient(brainId);
+				const device = new BrainClient.BrainDevice(client, { id: 'd1', name: 'Projector', driver: {} });
+				device._watchStateChanges = () => {};
+				client.getDevices = async () => ({ d1: device });
+				client.getDevice  = async nameOrId => [ 'd1', 'Projector' ].includes(nameOrId) ? device : undefined;
+				client.connectToBrain = async ipAddress => {
+					maxConnecting = Math.max(maxConnecting, ++ connecting);
+					await new Promise(resolve => setTimeout(resolve, 5));
+					connecting --;
+					if(ipAddress === '10.0.0.3') {
+						throw new Error("Unreachable");
+					}
+					client._setConnectionStatus(BrainClient.CONNECTION_ACTIVE);
+					return BrainClient.CONNECTION_ACTIVE;
+				};
+			});
+
+			const statusEvents = [], errors = [];
+			pool.on(BrainPool.CONNECTION_STATUS_CHANGED, data => statusEvents.push(data));
+			pool.on(BrainPool.CONNECT_ERROR, data => errors.push(data));
+
+			const results = await pool.connect();
+			expect(maxConnecting).to.equal(2);
+			expect(results['10.0.0.1']).to.equal(BrainClient.CONNECTION_ACTIVE);
+			expect(results['boardroom']).to.equal(BrainClient.CONNECTION_ACTIVE);
+			expect(results['10.0.0.3']).to.be.instanceof(Error);
+			expect(errors.map(({ brainId }) => brainId)).to.deep.equal([ '10.0.0.3' ]);
+			expect(statusEvents.length).to.equal(2);
+			expect(pool.getStatusCounts()[BrainClient.CONNECTION_ACTIVE]).to.equal(2);
+
+			const projector = await pool.findDevice('boardroom', 'Projector');
+			expect(projector.id).to.equal('d1');
+			expect(await pool.findDevice('nowhere', 'Projector')).to.equal(null);
+
+			const changes = [];
+			const listener = data => changes.push(data);
+			pool.on(BrainPool.STATE_CHANGED, listener);
+			await new Promise(resolve => setTimeout(resolve, 1));
+
+			projector.emit(BrainClient.BrainDevice.STATE_CHANGED, { key: 'power', value: 'on' });
+			expect(changes).to.deep.equal([ { brainId: 'boardroom', device: projector, state: { key: 'power', value: 'on' } } ]);
+
+			pool.off(BrainPool.STATE_CHANGED, listener);
+			projector.emit(BrainClient.BrainDevice.STATE_CHANGED, { key: 'power', value: 'off' });
+			expect(changes.length).to.equal(1);
+
+			const removed = pool.getClient('boardroom');
+			pool.remove('boardroom');
+			expect(pool.getClient('boardroom')).to.equal(null);
+
+			// Removed Brains don't report to the pool anymore
+			removed._setConnectionStatus(BrainClient.CONNECTION_ACTIVE);
+			expect(statusEvents.map(({ brainId }) => brainId)).to.deep.equal([ '10.0.0.1', 'boardroom' ]);
+		});
+	});
+
+	it('should discover brains on local stand-in servers', done => {
+		wait(done, async () => {
+			const http = require('http');
+			const WebSocket = require('ws');
+			const { BrainDiscovery } = require('../dist/cjs');
+
+			const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+			const info = { brain_id: 'b1', hardware_model: 'KC-BRAIN-100', space_name: 'Lobby', brain_provisioned: true };
+
+			// One fake Brain with a socket, one web server that isn't a Brain, one that stalls mid-body
+			const brain = http.createServer((req, res) => {
+				res.writeHead(req.url === '/api/v1/general' ? 200 : 404, { 'Content-Type': 'application/json' });
+				res.end(JSON.stringify(req.url === '/api/v1/general' ? info : {}));
+			});
+			const wss = new WebSocket.Server({ server: brain, path: '/web-client' });
+			const other = http.createServer((req, res) => res.end('<html></html>'));
+			const stalled = [];
+			const slow = http.createServer((req, res) => {
+				res.writeHead(200, { 'Content-Type': 'application/json' });
+				res.write('{ "brain_id": "b2"');
+				stalled.push(res);
+			});
+
+			const [ brainPort, otherPort, slowPort ] = [ await listen(brain), await listen(other), await listen(slow) ];
+
+			try {
+				expect(new BrainDiscovery({ cidr: '10.0.1.0/30' }).getTargets()).to.deep.equal([ '10.0.1.1:8000', '10.0.1.2:8000' ]);
+				expect(() => new BrainDiscovery({ cidr: '10.0.0.0/8' }).getTargets()).to.throw();
+
+				const found = [];
+				const brains = await BrainDiscovery.scan({
+					cidr:    '127.0.0.1/32',
+					ports:   [ brainPort, otherPort, slowPort ],
+					timeout: 500,
+				}, brain => found.push(brain.brain_id));
+				expect(stalled.length).to.equal(1);
+
+				expect(found).to.deep.equal([ 'b1' ]);
+				expect(brains.length).to.equal(1);
+				expect(brains[0]).to.include({ ...info, ipAddress: `127.0.0.1:${brainPort}`, socketReachable: true });
+			} finally {
+				wss.close();
+				brain.close();
+				other.close();
+				stalled.forEach(res => res.end());
+				slow.close();
+			}
+		});
+	});
+
+	it('should dispose cached clients when every reference is released', done => {
+		wait(done, async () => {
+			const ip = '10.255.255.1:9';
+			const bc = BrainClient.getBrainClient(ip, { disableAnalytics: true });
+			expect(BrainClient.getBrainClient(ip)).to.equal(bc);
+
+			let completed = false;
+			bc.asObservable().subscribe({ complete: () => completed = true });
+			bc.on(BrainClient.EVENTS.CONNECTION_STATUS_CHANGED, () => {});
+			const queued = bc.wrapApiCall('status');
+
+			expect(bc.release()).to.equal(false);
+			expect(bc.isDisposed()).to.equal(false);
+			expect(bc.release()).to.equal(true);
+			expect(bc.isDisposed()).to.equal(true);
+
+			expect(BrainClient._cachedBrainClients[ip]).to.equal(undefined);
+			expect(bc.listenerCount(BrainClient.EVENTS.CONNECTION_STATUS_CHANGED)).to.equal(0);
+			expect(completed).to.equal(true);
+			expect(await queued.catch(ex => ex)).to.be.instanceof(BrainClient.ErrorClientDisposed);
+			expect(await bc.connectToBrain(ip).catch(ex => ex)).to.be.instanceof(BrainClient.ErrorClientDisposed);
+
+			// Released before the deferred connect, so it never starts
+			await new Promise(resolve => setTimeout(resolve, 5));
+			expect(bc.ipAddress).to.equal(undefined);
+
+			const fresh = BrainClient.getBrainClient(ip, { disableAnalytics: true });
+			expect(fresh).to.not.equal(bc);
+			fresh.release();
+
+			// Clients cached when they connect still belong to their creator
+			await withMockBrain({}, async ({ mock, client }) => {
+				await client.connectToBrain(mock.address);
+
+				const cached = BrainClient.getBrainClient(mock.address);
+				expect(cached).to.equal(client);
+				expect(cached.release()).to.equal(false);
+				expect(client.isDisposed()).to.equal(false);
+				expect(client.release()).to.equal(true);
+			});
+		});
+	});
+
+	it('should not return pool clients from getBrainClient', done => {
+		wait(done, async () => {
+			const { BrainPool } = require('../dist/cjs');
+
+			await withMockBrain({}, async ({ mock }) => {
+				const pool = new BrainPool([ mock.address ], { clientOptions: { disableAnalytics: true, heartbeatInterval: 0 } });
+				try {
+					await pool.connect();
+					expect(BrainClient._cachedBrainClients[mock.address]).to.equal(undefined);
+
+					const cached = BrainClient.getBrainClient(mock.address, { disableAnalytics: true, heartbeatInterval: 0 });
+					expect(cached).to.not.equal(pool.getClient(mock.address));
+					cached.release();
+				} finally {
+					pool.remove(mock.address);
+				}
+			});
+		});
+	});
+
+	it('should talk to the brain through a custom transport', done => {
+		wait(done, async () => {
+			// In-memory transport that records what the client does with it
+			const transports = [];
+			const transport = opts => {
+				const t = {
+					opts,
+					sent:   [],
+					open()  { this.opened = true; setTimeout(() => this.onopen(), 0); },
+					send(d) { this.sent.push(JSON.parse(d)); },
+					close() { this.closed = true; },
+				};
+				transports.push(t);
+				return t;
+			};
+
+			const tmp = new BrainClient({
+				disableAnalytics:  true,
+				heartbeatInterval: 0,
+				reconnectWaitTime: 1,
+				reconnectJitter:   0,
+				transport,
+			});
+
+			await tmp.prepareConnection('10.0.0.9');
+			const [ first ] = transports;
+			expect(first.opts.url).to.equal('ws://10.0.0.9:8000/web-client');
+			expect(first.opened).to.equal(true);
+			expect(first.sent[0].type).to.equal('get_brain_stat_message');
+
+			const messages = [];
+			tmp.on(BrainClient.EVENTS.WS_MESSAGE, msg => messages.push(msg));
+			first.onmessage(JSON.stringify({ type: 'some_brain_event', foo: 1 }));
+			expect(messages[0]).to.deep.equal({ type: 'some_brain_event', foo: 1 });
+
+			// Dropped connection reconnects through the factory again
+			first.onclose();
+			await new Promise(resolve => setTimeout(resolve, 20));
+			expect(transports.length).to.equal(2);
+			expect(tmp.isConnected).to.equal(true);
+
+			tmp.disconnect();
+			expect(transports[1].closed).to.equal(true);
+			expect(tmp.ws).to.equal(null);
+			tmp.dispose();
+		});
+	});
+
+	it('should record a session and replay it', done => {
+		wait(done, async () => {
+			const fs = require('fs');
+			const os = require('os');
+			const { SessionRecorder, ReplayTransport } = BrainClient;
+
+			const file = `${os.tmpdir()}/brain-session-${Date.now()}.ndjson`;
+			const entries = [];
+			const recorder = new FileSessionRecorder({ entries, file });
+			expect(recorder).to.be.an.instanceof(SessionRecorder);
+			// Each client has its own driver cache, so both clients download the driver
+			const opts = { disableAnalytics: true, heartbeatInterval: 0 };
+
+			const session = async client => {
+				const projector = await client.getDevice('Projector');
+				const { normalizedValue } = await projector.getState('POWER_STATE');
+				const changed = new Promise(resolve => projector.on(BrainClient.BrainDevice.STATE_CHANGED, resolve));
+				await projector.sendCommand('SET_POWER', { POWER_STATE: 'ON' });
+				return [ normalizedValue, (await changed).normalizedValue ];
+			};
+
+			await withMockBrain({ client: { ...opts, record: recorder } }, async ({ mock, client: live }) => {
+				await live.connectToBrain(mock.address);
+				expect(await session(live)).to.deep.equal([ 'OFF', 'ON' ]);
+			});
+
+			expect(entries[0].dir).to.equal('open');
+			expect(entries.some(({ dir }) => dir === 'out')).to.equal(true);
+			expect(entries.every(({ time }) => typeof(time) === 'number')).to.equal(true);
+
+			// The Brain is gone, the recording stands in for it, as fast as possible
+			await recorder.close();
+			const replayed = FileSessionRecorder.load(file);
+			fs.unlinkSync(file);
+			expect(replayed).to.deep.equal(entries);
+
+			const transports = [];
+			const factory = ReplayTransport.factory(replayed, { speed: Infinity });
+			const replay = new BrainClient({ ...opts, transport: args => {
+				transports.push(factory(args));
+				return transports[transports.length - 1];
+			} });
+
+			try {
+				await replay.connectToBrain('recorded-brain');
+				expect(await session(replay)).to.deep.equal([ 'OFF', 'ON' ]);
+				expect(transports[0].sent.map(({ type }) => type))
+					.to.deep.equal(entries.filter(({ dir }) => dir === 'out').map(({ msg }) => msg.type));
+			} finally {
+				replay.dispose();
+			}
+		});
+	});
+
+	it('should reuse cached session tokens before asking for the PIN', done => {
+		wait(done, async () => {
+			const storage = new BrainClient.MemoryTokenStorage();
+			const opts = {
+				mock:   { fixture: __dirname + '/fixtures/mock-brain.json' },
+				client: { reconnectWaitTime: 1, tokenCache: storage },
+			};
+			let pinRequests = 0;
+			const pin = () => {
+				pinRequests ++;
+				return '1234';
+			};
+
+			await withMockBrain(opts, async ({ mock, createClient }) => {
+				const connect = async () => {
+					const client = createClient();
+					expect(await client.connectToBrain(mock.address, pin)).to.equal(BrainClient.CONNECTION_ACTIVE);
+					return client;
+				};
+
+				const first = await connect();
+				expect(pinRequests).to.equal(1);
+				expect(storage.get('fixture-brain')).to.equal(first.authorization.token);
+
+				// Reconnects authorize with the token, without PIN_REQUIRED
+				let pinRequired = 0;
+				first.on(BrainClient.EVENTS.PIN_REQUIRED, () => pinRequired ++);
+				const active = new Promise(resolve => first.on(BrainClient.EVENTS.CONNECTION_STATUS_CHANGED, ({ status }) =>
+					status === BrainClient.CONNECTION_ACTIVE && resolve()));
+				first.ws.onclose();
+				await active;
+				expect(pinRequired).to.equal(0);
+
+				// So do new clients sharing the storage
+				await connect();
+				expect(pinRequests).to.equal(1);
+
+				// Rejected tokens fall back to the PIN
+				storage.set('fixture-brain', 'revoked');
+				await connect();
+				expect(pinRequests).to.equal(2);
+				expect(storage.get('fixture-brain')).to.not.equal('revoked');
+			});
+
+			const file = `${require('os').tmpdir()}/brain-tokens-${Date.now()}.json`;
+			const fileStorage = new FileTokenStorage({ file });
+			fileStorage.set('a', 'token-a');
+			expect(new FileTokenStorage({ file }).get('a')).to.equal('token-a');
+			fileStorage.delete('a');
+			expect(fileStorage.get('a')).to.equal(undefined);
+			require('fs').unlinkSync(file);
+		});
+	});
+
+	it('should retry rejected PINs and give up with ErrorInvalidPin', done => {
+		wait(done, async () => {
+			const fixture = __dirname + '/fixtures/mock-brain.json';
+
+			await withMockBrain({ mock: { fixture } }, async ({ mock, createClient: client }) => {
+				const calls = [], events = [];
+				const retried = client();
+				retried.on(BrainClient.EVENTS.PIN_REQUIRED, data => events.push(data));
+				const status = await retried.connectToBrain(mock.address, (attempt, reason) => {
+					calls.push([ attempt, reason ]);
+					return attempt < 2 ? '0000' : '1234';
+				});
+				expect(status).to.equal(BrainClient.CONNECTION_ACTIVE);
+				expect(calls).to.deep.equal([ [ 1, null ], [ 2, 'Invalid PIN' ] ]);
+				expect(events[0]).to.deep.equal({ failed: false, reason: null });
+				expect(events[events.length - 1]).to.deep.equal({ failed: true, reason: 'Invalid PIN' });
+
+				const error = await client({ pinAttempts: 2 })
+					.connectToBrain(mock.address, () => '0000')
+					.catch(e => e);
+				expect(error).to.be.an.instanceof(BrainClient.ErrorInvalidPin);
+				expect(error.attempts).to.equal(2);
+				expect(error.reason).to.equal('Invalid PIN');
+
+				// A string PIN can't change, so it's only tried once
+				const once = await client().connectToBrain(mock.address, '0000').catch(e => e);
+				expect(once).to.be.an.instanceof(BrainClient.ErrorInvalidPin);
+				expect(once.attempts).to.equal(1);
+
+				// Dropped while disconnected, so not paired with the replies to later attempts
+				const offline = client();
+				offline.submitPin('1234');
+				expect(offline._authAttempts).to.deep.equal([]);
+			});
+		});
+	});
+
+	it('should time out setup naming the stage that stalled', done => {
+		wait(done, async () => {
+			// Brain that only ever answers the status query, if `provisioned` is set
+			const stalled = provisioned => () => ({
+				open()  { setTimeout(() => this.onopen(), 0); },
+				send(d) {
+					if(provisioned && JSON.parse(d).type === 'get_brain_stat_message') {
+						setTimeout(() => this.onmessage(JSON.stringify({ type: 'brain_status_message', brain_provisioned: true })), 0);
+					}
+				},
+				close() {},
+			});
+
+			const setup = async transport => {
+				const tmp = new BrainClient({ disableAnalytics: true, heartbeatInterval: 0, setupTimeout: 50, transport });
+				try {
+					return await tmp.connectToBrain('10.0.0.9').catch(e => e);
+				} finally {
+					tmp.dispose();
+				}
+			};
+
+			const noStatus = await setup(stalled(false));
+			expect(noStatus).to.be.an.instanceof(BrainClient.ErrorSetupTimeout);
+			expect(noStatus.stage).to.equal(BrainClient.SETUP_STAGES.PROVISIONING);
+			expect(noStatus.timeout).to.equal(50);
+
+			const noExpressMode = await setup(stalled(true));
+			expect(noExpressMode).to.be.an.instanceof(BrainClient.ErrorSetupTimeout);
+			expect(noExpressMode.stage).to.equal(BrainClient.SETUP_STAGES.EXPRESS_MODE);
+		});
+	});
+
+	it('should track the state of the brain itself', done => {
+		wait(done, async () => {
+			await withMockBrain({ mock: { restartTime: 20 } }, async ({ mock, client: tmp }) => {
+				expect(tmp.getBrainState()).to.equal(null);
+				await tmp.connectToBrain(mock.address);
+
+				const initial = tmp.getBrainState();
+				expect(initial.state).to.equal(BrainClient.BRAIN_STATES.ACTIVE_ONLINE);
+				expect(initial.previousState).to.equal(null);
+				expect(initial.changedAt).to.be.a('number');
+
+				const changes = [];
+				const online = new Promise(resolve => tmp.on(BrainClient.EVENTS.BRAIN_STATE_CHANGED, change => {
+					changes.push(change);
+					if(change.state === BrainClient.BRAIN_STATES.ACTIVE_ONLINE) {
+						resolve();
+					}
+				}));
+				mock.restart();
+				await online;
+
+				expect(changes.map(({ previousState, state }) => [ previousState, state ])).to.deep.equal([
+					[ 'active_online', 'initializing' ],
+					[ 'initializing', 'active_online' ],
+				]);
+				expect(changes[0].sysState).to.deep.equal({ state: 'initializing' });
+				expect(tmp.getBrainState()).to.deep.equal(changes[1]);
+			});
+		});
+	});
+
+	it('should get handsets and watch their layouts', done => {
+		wait(done, async () => {
+			await withMockBrain({}, async ({ mock, client: tmp }) => {
+				await tmp.connectToBrain(mock.address);
+
+				const handsets = await tmp.getHandsets();
+				expect(handsets.length).to.equal(1);
+				const [ handset ] = handsets;
+				expect(handset).to.be.an.instanceof(BrainClient.BrainHandset);
+				expect([ handset.id, handset.name, handset.type ]).to.deep.equal([ 'mock-handset', 'Mock Handset', 'web' ]);
+				expect(await tmp.getHandset('Mock Handset')).to.equal(handset);
+
+				const layout = await handset.getLayout();
+				expect(layout.views[0].id).to.equal('power-button');
+				expect(handset.layout).to.deep.equal(layout);
+
+				const changed = new Promise(resolve => handset.once(BrainClient.BrainHandset.LAYOUT_CHANGED, resolve));
+				await handset.watch();
+				// Give the mock a moment to process set-handset
+				await new Promise(resolve => setTimeout(resolve, 20));
+				mock.setLayout('mock-handset', { views: [] });
+				expect((await changed).layout).to.deep.equal({ views: [] });
+				expect(handset.layout).to.deep.equal({ views: [] });
+
+				await handset.unwatch();
+				expect(tmp.listenerCount(BrainClient.EVENTS.HANDSET_MESSAGE)).to.equal(0);
+			});
+		});
+	});
+
+	it('should list and run driver macros', done => {
+		wait(done, async () => {
+			await withMockBrain({}, async ({ mock, client: tmp }) => {
+				await tmp.connectToBrain(mock.address);
+
+				const projector = await tmp.getDevice('Projector');
+				expect(Object.keys(await projector.getMacros())).to.deep.equal([ 'POWER_ON' ]);
+
+				const macro = await projector.getMacro('Power On');
+				expect(macro.id).to.equal('POWER_ON');
+				expect(macro.actions.map(({ command, params }) => [ command.id, params ])).to.deep.equal([
+					[ 'SET_POWER', { POWER_STATE: 'ON' } ],
+				]);
+				expect(Object.keys(macro.states)).to.deep.equal([ 'POWER_STATE' ]);
+
+				expect((await projector.getState('POWER_STATE')).normalizedValue).to.equal('OFF');
+				expect(await projector.runMacro('POWER_ON')).to.deep.equal({ POWER_STATE: 'ON' });
+				expect(mock.getState('mock-projector', 'POWER_STATE')).to.equal('ON');
+
+				let error;
+				await projector.runMacro('Nope').catch(e => error = e);
+				expect(error).to.be.an.instanceof(BrainClient.BrainDevice.ErrorInvalidMacro);
+			});
+		});
+	});
+
+	it('should send a macro of several actions as one message', done => {
+		wait(done, async () => {
+			await withMockBrain({}, async ({ mock, client: tmp }) => {
+				await tmp.connectToBrain(mock.address);
+
+				const projector = await tmp.getDevice('Projector');
+				const sys = await tmp.getSystemDevice();
+				// Load current values first, so the results are the values after the macro
+				await projector.getStates();
+				await sys.getStates();
+
+				let error;
+				await tmp.macro()
+					.command(projector, 'SET_POWER', { POWER_STATE: 'ON' })
+					.command('Projector', 'NOPE')
+					.send()
+					.catch(e => error = e);
+				expect(error).to.be.an.instanceof(BrainClient.BrainDevice.ErrorInvalidCommand);
+
+				await tmp.macro().command('Nowhere', 'SET_POWER').send().catch(e => error = e);
+				expect(error).to.be.an.instanceof(BrainClient.MacroBuilder.ErrorInvalidDevice);
+
+				const macros = [];
+				mock.on(MockBrainServer.MESSAGE, msg => msg.path === '/api/v1/send-macro' && macros.push(msg.body));
+
+				// Only send() sends, awaiting or returning the builder doesn't
+				const builder = tmp.macro()
+					.command('Projector', 'SET_POWER', { POWER_STATE: 'ON' })
+					.command(sys, 'SET_SYSTEM_USE', { SYSTEM_STATE: 'ON' })
+					.setCustomState('CUSTOM_STATE_1', 'presentation');
+				expect(await builder).to.equal(builder);
+				expect(await Promise.resolve(builder)).to.equal(builder);
+				await new Promise(resolve => setTimeout(resolve, 20));
+				expect(macros.length).to.equal(0);
+
+				const results = await builder.send();
+
+				expect(results).to.deep.equal({
+					'mock-projector':     { POWER_STATE: 'ON' },
+					'mock-system-device': { SYSTEM_STATE: 'ON', CUSTOM_STATE_1: 'presentation' },
+				});
+				expect(macros.length).to.equal(1);
+				expect(macros[0].actions.map(({ type }) => type)).to.deep.equal([ 'command', 'command', 'state_change' ]);
+			});
+		});
+	});
+
+	it('should validate command parameters against the driver', done => {
+		wait(done, async () => {
+			const sent = [];
+			const client = { wrapApiCall: async (path, body) => sent.push(body) };
+			const device = new BrainClient.BrainDevice(client, {
+				id: 'display', name: 'Display',
+				driver: {
+					AUDIO: {
+						name: 'Audio', reference_id: 'AUDIO', states: {},
+						commands: [{
+							capability: { name: 'Volume', reference_id: 'VOLUME' },
+							name: 'Set Volume', reference_id: 'SET_VOLUME', dynamicParams: [],
+							staticParams: [
+								{ name: 'VOLUME', parameter_type: 'integer', constraints: { required: true, min: 0, max: 100 } },
+								{ name: 'MODE',   parameter_type: 'string',  constraints: { enum: [ 'MOVIE', 'MUSIC' ] } },
+							],
+						}],
+					},
+				},
+			});
+			device._ensureStateValues = async () => {};
+
+			let error;
+			await device.sendCommand('SET_VOLUME', { volume: 120, MODE: 'GAME', VOLUMEE: 1 }).catch(e => error = e);
+			expect(error).to.be.an.instanceof(BrainClient.BrainDevice.ErrorInvalidParameter);
+			expect(error.command).to.equal('SET_VOLUME');
+			expect(error.violations.map(({ name }) => name)).to.deep.equal([ 'VOLUMEE', 'VOLUME', 'MODE' ]);
+
+			await device.sendCommand('SET_VOLUME', { MODE: 'MUSIC' }).catch(e => error = e);
+			expect(error.violations).to.deep.equal([ { name: 'VOLUME', value: undefined, reason: 'is required' } ]);
+
+			await device.sendCommand('SET_VOLUME', { VOLUME: 'loud' }).catch(e => error = e);
+			expect(error.violations[0].reason).to.equal('must be an integer');
+			expect(sent.length).to.equal(0);
+
+			await device.sendCommand('SET_VOLUME', { VOLUME: '40', MODE: 'MOVIE' });
+			await device.sendCommand('SET_VOLUME', { VOLUME: 120 }, { validate: false });
+			expect(sent.map(({ actions }) => actions[0].static_parameters[0].value)).to.deep.equal([ '40', '120' ]);
+		});
+	});
+
+	it('should validate command parameters against a downloaded driver', done => {
+		wait(done, async () => {
+			const fixture = __dirname + '/fixtures/mock-brain.json';
+
+			await withMockBrain({ mock: { fixture } }, async ({ mock, client: tmp }) => {
+				await tmp.connectToBrain(mock.address, () => '1234');
+				const display = await tmp.getDevice('Display');
+
+				let error;
+				await display.sendCommand('SET_VOLUME', { VOLUME: 120, MODE: 'GAME' }).catch(e => error = e);
+				expect(error).to.be.an.instanceof(BrainClient.BrainDevice.ErrorInvalidParameter);
+				expect(error.violations).to.deep.equal([
+					{ name: 'VOLUME', value: 120, reason: 'must be at most 100' },
+					{ name: 'MODE', value: 'GAME', reason: 'must be one of MOVIE, MUSIC' },
+				]);
+
+				await display.sendCommand('SET_VOLUME', { VOLUME: 40, MODE: 'MOVIE' });
+			});
+		});
+	});
+
+	it('should resolve commands with changed, unchanged and timed out states', done => {
+		wait(done, async () => {
+			await withMockBrain({}, async ({ mock, client: tmp }) => {
+				await tmp.connectToBrain(mock.address);
+
+				const projector = await tmp.getDevice('Projector');
+				await projector.getStates();
+
+				const first = await projector.sendCommand('SET_POWER', { POWER_STATE: 'ON' });
+				expect(first).to.deep.equal({ POWER_STATE: 'ON' });
+				expect([ first.changed, first.unchanged, first.timedOut ]).to.deep.equal([ [ 'POWER_STATE' ], [], [] ]);
+
+				// Already on, the Brain still sends the state
+				const again = await projector.sendCommand('SET_POWER', { POWER_STATE: 'ON' });
+				expect([ again.changed, again.unchanged, again.timedOut ]).to.deep.equal([ [], [ 'POWER_STATE' ], [] ]);
+
+				// Concurrent commands on the same device each get their own results
+				const both = await Promise.all([
+					projector.sendCommand('SET_POWER', { POWER_STATE: 'OFF' }, { timeout: 1000 }),
+					projector.sendCommand('SET_POWER', { POWER_STATE: 'OFF' }, { timeout: 1000 }),
+				]);
+				both.forEach(result => expect(result.timedOut).to.deep.equal([]));
+				expect(both[0].changed).to.deep.equal([ 'POWER_STATE' ]);
+			});
+
+			// A device that never answers, like when offline
+			const device = new BrainClient.BrainDevice({ wrapApiCall: async () => {}, watchStates: () => {} }, {
+				id: 'offline', name: 'Offline',
+				driver: {
+					POWER: {
+						name: 'Power', reference_id: 'POWER',
+						states: { POWER_STATE: { name: 'Power State', reference_id: 'POWER_STATE', primitive_type: 'string' } },
+						commands: [{
+							capability: { name: 'Power', reference_id: 'POWER' },
+							name: 'Set Power', reference_id: 'SET_POWER', staticParams: [],
+							dynamicParams: [ { name: 'POWER_STATE', state_key: '', state: { reference_id: 'POWER_STATE' } } ],
+						}],
+					},
+				},
+			});
+
+			const started = Date.now();
+			const result = await device.sendCommand('SET_POWER', { POWER_STATE: 'ON' }, { timeout: 50 });
+			expect(Date.now() - started).to.be.below(1000);
+			expect(result.timedOut).to.deep.equal([ 'POWER_STATE' ]);
+			expect(result.POWER_STATE).to.equal(null);
+
+			// Macros take the same timeout, for the current values of dynamic params as well as the results
+			const macroStarted = Date.now();
+			const results = await new BrainClient.MacroBuilder({ wrapApiCall: async () => {} })
+				.command(device, 'SET_POWER', {}, { timeout: 50 })
+				.send({ timeout: 50 });
+			expect(Date.now() - macroStarted).to.be.below(1000);
+			expect(results.offline.timedOut).to.deep.equal([ 'POWER_STATE' ]);
+		});
+	});
+
+	it('should send dynamic parameters bound to states', done => {
+		wait(done, async () => {
+			await withMockBrain({}, async ({ mock, client: tmp }) => {
+				await tmp.connectToBrain(mock.address);
+
+				const macros = [];
+				mock.on(MockBrainServer.MESSAGE, msg => msg.path === '/api/v1/send-macro' && macros.push(msg.body));
+
+				const projector = await tmp.getDevice('Projector');
+				const { params } = await projector.getCommand('SET_POWER');
+				expect(params.POWER_STATE.stateKey).to.equal('');
+
+				// Value given by the caller
+				await projector.sendCommand('SET_POWER', { POWER_STATE: 'ON' });
+				// Value from the current state
+				const result = await projector.sendCommand('SET_POWER');
+				expect(result.unchanged).to.deep.equal([ 'POWER_STATE' ]);
+
+				const dynamic = macros.map(({ actions: [ action ] }) => action.dynamic_parameters.map(({ id, ...param }) => param));
+				expect(dynamic).to.deep.equal([
+					[ { name: 'POWER_STATE', state_id: 'POWER_STATE', state_key: '', value: 'ON' } ],
+					[ { name: 'POWER_STATE', state_id: 'POWER_STATE', state_key: '', value: 'ON' } ],
+				]);
+				// Only sent as dynamic params, never also as static ones
+				expect(macros.map(({ actions: [ action ] }) => action.static_parameters)).to.deep.equal([ [], [] ]);
+			});
+
+			// A static param with the same name doesn't replace the dynamic one
+			const device = new BrainClient.BrainDevice({}, {
+				id: 'display', name: 'Display',
+				driver: {
+					POWER: {
+						name: 'Power', reference_id: 'POWER',
+						states: { POWER_STATE: { name: 'Power State', reference_id: 'POWER_STATE', primitive_type: 'string' } },
+						commands: [{
+							capability: { name: 'Power', reference_id: 'POWER' },
+							name: 'Set Power', reference_id: 'SET_POWER',
+							dynamicParams: [ { name: 'POWER_STATE', state_key: '', state: { reference_id: 'POWER_STATE' } } ],
+							staticParams:  [ { name: 'POWER_STATE', parameter_type: 'string', constraints: {} } ],
+						}],
+					},
+				},
+			});
+			const { params: { POWER_STATE } } = await device.getCommand('SET_POWER');
+			expect(POWER_STATE.state.id).to.equal('POWER_STATE');
+			expect(POWER_STATE.type).to.equal(undefined);
+		});
+	});
+
+	it('should share and persist downloaded drivers', done => {
+		wait(done, async () => {
+			const os = require('os');
+			const { DriverCache } = BrainClient;
+
+			const dir = `${os.tmpdir()}/brain-drivers-${Date.now()}`;
+			const storage = new DirectoryDriverStorage({ dir });
+
+			await withMockBrain({}, async ({ mock, createClient }) => {
+				const downloads = [];
+				mock.on(MockBrainServer.MESSAGE, ({ path }) => path && path.includes('device-drivers/') && downloads.push(path));
+
+				const useClient = async driverCache => {
+					const tmp = createClient({ driverCache });
+					await tmp.connectToBrain(mock.address);
+					const projector = await tmp.getDevice('Projector');
+					expect(Object.keys(await projector.getCommands())).to.deep.equal([ 'SET_POWER' ]);
+					tmp.dispose();
+				};
+
+				const driverCache = new DriverCache({ storage });
+				await useClient(driverCache);
+				await useClient(driverCache);
+				expect(downloads.length).to.equal(1);
+
+				// Like after a restart, loaded from the directory
+				await useClient(new DriverCache({ storage }));
+				expect(downloads.length).to.equal(1);
+				expect(storage.get('mock-projector-driver').version).to.equal(1);
+
+				// Clients only share drivers when asked to
+				const [ own, other ] = [ createClient(), createClient() ];
+				expect(own._driverCache).to.not.equal(other._driverCache);
+				expect(createClient({ driverCache: true })._driverCache).to.equal(DriverCache.shared);
+
+				// Aborting one caller doesn't stop the download shared with other clients
+				const sharedCache = new DriverCache();
+				const [ a, b ] = [ createClient({ driverCache: sharedCache }), createClient({ driverCache: sharedCache }) ];
+				await a.connectToBrain(mock.address);
+				await b.connectToBrain(mock.address);
+
+				const signal = new (require('events'))();
+				signal.addEventListener    = signal.on;
+				signal.removeEventListener = signal.off || signal.removeListener;
+
+				const aborted = a._getSimpleDriver('mock-projector-driver', 1, { signal });
+				const driver  = b._getSimpleDriver('mock-projector-driver', 1);
+				signal.aborted = true;
+				signal.emit('abort');
+
+				expect(await aborted.catch(ex => ex)).to.be.an.instanceof(BrainClient.ErrorRequestAborted);
+				expect(Object.keys(await driver)).to.not.be.empty;
+				expect(downloads.length).to.equal(2);
+			});
+
+			// Concurrent requests share one download, and other versions are downloaded again
+			let fetches = 0;
+			const fetch = async () => ({ version: ++ fetches });
+			const cache = new DriverCache({ storage });
+			const [ a, b ] = await Promise.all([ cache.get('mock-projector-driver', 2, fetch), cache.get('mock-projector-driver', 2, fetch) ]);
+			expect(a).to.equal(b);
+			expect(fetches).to.equal(1);
+			expect(storage.get('mock-projector-driver')).to.deep.equal({ version: 2, driver: { version: 1 } });
+
+			// A download failing for the caller that started it doesn't fail the callers sharing it
+			const failed = cache.get('other-driver', 1, async () => {
+				throw new BrainClient.ErrorDisconnected('Disconnected');
+			});
+			const shared = cache.get('other-driver', 1, fetch);
+			expect(await failed.catch(ex => ex)).to.be.an.instanceof(BrainClient.ErrorDisconnected);
+			expect(await shared).to.deep.equal({ version: 2 });
+
+			// Callers sharing a failed download try once more, sharing one new download
+			let failures = 0;
+			const fail = async () => {
+				failures ++;
+				throw new BrainClient.ErrorDisconnected('Disconnected');
+			};
+			const failing = [ 1, 2, 3, 4 ].map(() => cache.get('broken-driver', 1, fail).catch(ex => ex));
+			(await Promise.all(failing)).forEach(ex => expect(ex).to.be.an.instanceof(BrainClient.ErrorDisconnected));
+			expect(failures).to.equal(2);
+
+			// Only the latest version of a driver is kept
+			await cache.get('mock-projector-driver', 3, fetch);
+			expect(Array.from(cache._drivers.keys())).to.deep.equal([ 'other-driver@1', 'mock-projector-driver@3' ]);
+
+			require('fs').rmdirSync(dir, { recursive: true });
+		});
+	});
+
+	it('should serve a mock brain from a JSON fixture', done => {
+		wait(done, async () => {
+			// Node only, so not part of the main entry browser bundles use
+			expect(require('../dist/cjs').MockBrainServer).to.equal(undefined);
+			expect(require('../mock').MockBrainServer).to.equal(MockBrainServer);
+			expect(require('../dist/cjs').FileTokenStorage).to.equal(undefined);
+			expect(require('../dist/cjs').FileSessionRecorder).to.equal(undefined);
+			expect(require('../dist/cjs').DirectoryDriverStorage).to.equal(undefined);
+
+			const fixture = __dirname + '/fixtures/mock-brain.json';
+
+			await withMockBrain({ mock: { fixture } }, async ({ mock, client: tmp }) => {
+				let pinRequested = false;
+				const status = await tmp.connectToBrain(mock.address, () => {
+					pinRequested = true;
+					return '1234';
+				});
+				expect(pinRequested).to.equal(true);
+				expect(status).to.equal(BrainClient.CONNECTION_ACTIVE);
+				expect((await tmp.brainInfo()).space_name).to.equal('Fixture Room');
+
+				const display = await tmp.getDevice('Display');
+				expect((await display.getState('INPUT_STATE')).normalizedValue).to.equal('HDMI1');
+
+				const result = await display.sendCommand('SET_INPUT', { INPUT_STATE: 'HDMI2' });
+				expect(result).to.deep.equal({ INPUT_STATE: 'HDMI2' });
+				expect(mock.getState('fixture-display', 'INPUT_STATE')).to.equal('HDMI2');
+
+				// Changes made on the "Brain" side reach watchers
+				const changed = new Promise(resolve => display.on(BrainClient.BrainDevice.STATE_CHANGED, resolve));
+				mock.setState('fixture-display', 'INPUT_STATE', 'HDMI3');
+				expect((await changed).normalizedValue).to.equal('HDMI3');
+			});
+		});
+	});
+
 	it('should connect to ' + BRAIN_IP, done => {
 		assertClient();
 
@@ -236,6 +1363,35 @@ describe('#BrainClient', function() {
 		});
 	});
 
+	it('should derive secure URLs', () => {
+		const bc3 = new BrainClient({ disableAnalytics: true });
+		expect(bc3._checkPort("https://just.a.test.com")).to.equal("https://just.a.test.com");
+		expect(() => bc3._checkPort("ftp://just.a.test.com")).to.throw();
+
+		bc3.ipAddress = bc3._checkPort("https://just.a.test.com");
+		expect(bc3._brainUrls()).to.deep.equal({
+			secure: true,
+			socketUrl: 'wss://just.a.test.com/web-client',
+			httpUrl: 'https://just.a.test.com/api/v1/',
+		});
+
+		bc3.ipAddress = bc3._checkPort("wss://just.a.test.com/custom-socket");
+		expect(bc3._brainUrls().socketUrl).to.equal('wss://just.a.test.com/custom-socket');
+		expect(bc3._brainUrls().httpUrl).to.equal('https://just.a.test.com/api/v1/');
+
+		// ws:// addresses are used as-is, even without a path
+		bc3.ipAddress = bc3._checkPort("ws://just.a.test.com:8000");
+		expect(bc3._brainUrls().socketUrl).to.equal('ws://just.a.test.com:8000');
+
+		const bc4 = new BrainClient({ disableAnalytics: true, secure: true });
+		bc4.ipAddress = bc4._checkPort("just.a.test.com");
+		expect(bc4._brainUrls().socketUrl).to.equal('wss://just.a.test.com:8000/web-client');
+
+		// Explicit scheme wins over the `secure` option
+		bc4.ipAddress = bc4._checkPort("http://just.a.test.com:8000");
+		expect(bc4._brainUrls().httpUrl).to.equal('http://just.a.test.com:8000/api/v1/');
+	});
+
 	it('should fail on bad addresses', done => {
 		assertClient();
 		wait(done, async () => {